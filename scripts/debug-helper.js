@@ -72,29 +72,29 @@ export default class DebugHelper {
    * 用当前设置测试坐标转换
    */
   static testCoordinateConversion() {
-    if (!window.MapHeightEditor?.heightOverlay) {
-      console.error(`${MODULE_ID} | Debug: Height overlay not available`);
+    const coordinates = window.MapHeightEditor?.heightManager?.coordinates;
+    if (!coordinates) {
+      console.error(`${MODULE_ID} | Debug: Height manager coordinates not available`);
       return;
     }
     
-    const overlay = window.MapHeightEditor.heightOverlay;
+    const { sceneX, sceneY } = coordinates.dimensions;
     const testPoints = [
       { x: 0, y: 0 },
-      { x: 100, y: 100 },
-      { x: overlay.gridSize, y: overlay.gridSize },
-      { x: overlay.gridSize * 2, y: overlay.gridSize * 2 }
+      { x: sceneX, y: sceneY },
+      { x: coordinates.gridOffsetX, y: coordinates.gridOffsetY },
+      { x: coordinates.gridOffsetX + coordinates.gridSize * 2, y: coordinates.gridOffsetY + coordinates.gridSize * 2 }
     ];
     
     console.group(`${MODULE_ID} | Debug: Testing Coordinate Conversion`);
-    console.log(`Grid Size: ${overlay.gridSize}, Offset: (${overlay.gridOffsetX}, ${overlay.gridOffsetY})`);
+    console.log('Geometry:', coordinates.describe());
+    console.log(`Grid (0,0) top-left: (${coordinates.gridOffsetX}, ${coordinates.gridOffsetY}), Foundry offset:`, coordinates.origin);
     
     testPoints.forEach(point => {
-      const gridX = Math.floor((point.x - overlay.gridOffsetX) / overlay.gridSize);
-      const gridY = Math.floor((point.y - overlay.gridOffsetY) / overlay.gridSize);
-      const worldX = gridX * overlay.gridSize + overlay.gridOffsetX + overlay.gridSize / 2;
-      const worldY = gridY * overlay.gridSize + overlay.gridOffsetY + overlay.gridSize / 2;
+      const grid = coordinates.getGridFromPoint(point.x, point.y);
+      const center = coordinates.getGridCenter(grid.x, grid.y);
       
-      console.log(`World (${point.x}, ${point.y}) -> Grid (${gridX}, ${gridY}) -> World Center (${worldX}, ${worldY})`);
+      console.log(`World (${point.x}, ${point.y}) -> Grid (${grid.x}, ${grid.y}) -> World Center (${center.x}, ${center.y})`);
     });
     
     console.groupEnd();
@@ -121,6 +121,7 @@ export default class DebugHelper {
       width: scene.width,
       height: scene.height,
       padding: `${((scene.padding || 0) * 100).toFixed(1)}%`,
+      shift: `${scene.background?.offsetX || 0}, ${scene.background?.offsetY || 0}`,
       gridSize: scene.grid?.size || 'undefined',
       gridType: scene.grid?.type || 'undefined'
     });
@@ -131,17 +132,7 @@ export default class DebugHelper {
     });
     
     if (overlay) {
-      // Calculate expected total coverage
-      const padding = scene.padding || 0;
-      // Use grid-based padding calculation: padding is applied symmetrically in grid units
-      const expectedPaddingGridsWidthPerSide = Math.ceil((scene.width * padding) / overlay.gridSize);
-      const expectedPaddingGridsHeightPerSide = Math.ceil((scene.height * padding) / overlay.gridSize);
-      const expectedPaddingWidthPerSide = expectedPaddingGridsWidthPerSide * overlay.gridSize;
-      const expectedPaddingHeightPerSide = expectedPaddingGridsHeightPerSide * overlay.gridSize;
-      const expectedTotalWidth = scene.width + 2 * expectedPaddingWidthPerSide;
-      const expectedTotalHeight = scene.height + 2 * expectedPaddingHeightPerSide;
-      const expectedTotalCols = Math.ceil(expectedTotalWidth / overlay.gridSize);
-      const expectedTotalRows = Math.ceil(expectedTotalHeight / overlay.gridSize);
+      const coordinates = window.MapHeightEditor.heightManager?.coordinates;
       
       console.log('Height Overlay:', {
         isVisible: overlay.isVisible,
@@ -149,12 +140,7 @@ export default class DebugHelper {
         gridOffsetX: overlay.gridOffsetX,
         gridOffsetY: overlay.gridOffsetY,
         viewportBounds: overlay.viewportBounds,
-        expectedCoverage: {
-          totalWidth: expectedTotalWidth,
-          totalHeight: expectedTotalHeight,
-          totalCols: expectedTotalCols,
-          totalRows: expectedTotalRows
-        }
+        expectedCoverage: coordinates?.getCanvasGridBounds()
       });
     } else {
       console.log('Height Overlay: Not initialized');
@@ -168,42 +154,33 @@ export default class DebugHelper {
    * 测试场景边界的网格覆盖
    */
   static testGridCoverage() {
-    if (!canvas || !canvas.scene) {
+    const coordinates = window.MapHeightEditor?.heightManager?.coordinates;
+    if (!canvas || !canvas.scene || !coordinates) {
       console.error(`${MODULE_ID} | Debug: No canvas/scene available`);
       return;
     }
     
     const scene = canvas.scene;
-    const padding = scene.padding || 0;
-    const gridSize = canvas.grid.size;
-    // Use grid-based padding calculation: padding is applied symmetrically in grid units
-    const paddingGridsWidthPerSide = Math.ceil((scene.width * padding) / gridSize);
-    const paddingGridsHeightPerSide = Math.ceil((scene.height * padding) / gridSize);
-    const paddingWidthPerSide = paddingGridsWidthPerSide * gridSize;
-    const paddingHeightPerSide = paddingGridsHeightPerSide * gridSize;
-    const totalWidth = scene.width + 2 * paddingWidthPerSide;
-    const totalHeight = scene.height + 2 * paddingHeightPerSide;
+    const { width, height, sceneX, sceneY, sceneWidth, sceneHeight } = coordinates.dimensions;
     
     console.group(`${MODULE_ID} | Debug: Testing Grid Coverage`);
-    console.log(`Scene: ${scene.width}x${scene.height}, Padding: ${(padding * 100).toFixed(1)}%`);
-    console.log(`Total Canvas: ${totalWidth}x${totalHeight}`);
+    console.log(`Scene: ${scene.width}x${scene.height}, Padding: ${((scene.padding || 0) * 100).toFixed(1)}%, Shift: (${coordinates.shiftX}, ${coordinates.shiftY})`);
+    console.log(`Total Canvas: ${width}x${height}`);
     
-    // Test corner points with NEW coordinate system (Grid relative to Scene)
+    // Test corner points (Grid relative to Scene)
     const testPoints = [
       { name: "Canvas Top-Left Corner", x: 0, y: 0 },
-      { name: "Canvas Top-Right Corner", x: totalWidth - 1, y: 0 },
-      { name: "Canvas Bottom-Left Corner", x: 0, y: totalHeight - 1 },
-      { name: "Canvas Bottom-Right Corner", x: totalWidth - 1, y: totalHeight - 1 },
-      { name: "Scene Top-Left (0,0)", x: paddingWidthPerSide, y: paddingHeightPerSide },
-      { name: "Scene Bottom-Right", x: paddingWidthPerSide + scene.width - 1, y: paddingHeightPerSide + scene.height - 1 }
+      { name: "Canvas Top-Right Corner", x: width - 1, y: 0 },
+      { name: "Canvas Bottom-Left Corner", x: 0, y: height - 1 },
+      { name: "Canvas Bottom-Right Corner", x: width - 1, y: height - 1 },
+      { name: "Scene Top-Left (0,0)", x: sceneX, y: sceneY },
+      { name: "Scene Bottom-Right", x: sceneX + sceneWidth - 1, y: sceneY + sceneHeight - 1 }
     ];
 
     console.log('\n--- Coordinate System: Grid (0,0) = Scene (0,0) ---');
     testPoints.forEach(point => {
-      // Canvas coordinates to Grid coordinates (with offset)
-      const gridX = Math.floor((point.x - paddingWidthPerSide) / gridSize);
-      const gridY = Math.floor((point.y - paddingHeightPerSide) / gridSize);
-      console.log(`${point.name}: Canvas(${Math.ceil(point.x)}, ${Math.ceil(point.y)}) -> Grid(${gridX}, ${gridY})`);
+      const grid = coordinates.getGridFromPoint(point.x, point.y);
+      console.log(`${point.name}: Canvas(${Math.ceil(point.x)}, ${Math.ceil(point.y)}) -> Grid(${grid.x}, ${grid.y})`);
     });
     
     console.groupEnd();
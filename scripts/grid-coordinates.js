@@ -0,0 +1,244 @@
+/**
+ * FVTT Map Height Editor - Grid Coordinates
+ * Conversion between module grid keys and canvas points for any scene
+ * 网格坐标 - 任意场景的模块网格键与canvas坐标点之间的转换
+ */
+
+/**
+ * GridCoordinates class - the grid geometry of one scene, captured when constructed
+ * 网格坐标类 - 构造时捕获的单个场景的网格几何
+ *
+ * The shared coordinate service of the module: every conversion between grid keys and canvas points
+ * goes through Foundry's own grid (getOffset, getTopLeftPoint, getCenterPoint), so padding, the
+ * background shift and every grid type line up with the cells Foundry draws.
+ * Grid 0,0 is the cell under the center of the scene's first cell, measured from the scene origin
+ * (the top-left corner of the scene without padding, moved by the background shift). Padding cells
+ * have negative coordinates. Keys are Foundry offsets relative to the offset of that cell.
+ * The grid and dimensions objects of the scene are kept, so an instance keeps describing the old
+ * geometry after the scene's grid changed.
+ */
+export default class GridCoordinates {
+
+  /**
+   * @param {Scene} scene  Any scene, not only the one on the canvas
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.grid = scene.grid;
+    this.dimensions = { ...(scene.dimensions ?? scene.getDimensions()) };
+
+    this.isHex = !!this.grid.isHexagonal;
+    this.isGridless = !!this.grid.isGridless;
+    this.gridSize = this.grid.size;
+    this.padding = scene.padding || 0;
+
+    // Background image shift relative to the grid, already part of the scene rectangle
+    // 背景图像相对于网格的偏移，已包含在场景矩形中
+    this.shiftX = scene.background?.offsetX || 0;
+    this.shiftY = scene.background?.offsetY || 0;
+
+    // Foundry offset {i: row, j: column} of grid 0,0 and its top-left corner on the canvas
+    // 0,0网格的Foundry偏移坐标及其在canvas上的左上角
+    const { sceneX, sceneY } = this.dimensions;
+    if (this.isGridless) {
+      this.origin = { i: 0, j: 0 };
+      this.gridOffsetX = sceneX;
+      this.gridOffsetY = sceneY;
+    } else {
+      this.origin = this.grid.getOffset({
+        x: sceneX + this.grid.sizeX / 2,
+        y: sceneY + this.grid.sizeY / 2
+      });
+      const topLeft = this.grid.getTopLeftPoint(this.origin);
+      this.gridOffsetX = topLeft.x;
+      this.gridOffsetY = topLeft.y;
+    }
+  }
+
+  /**
+   * Convert module grid coordinates to a Foundry offset {i: row, j: column}
+   * 将模块网格坐标转换为Foundry偏移坐标
+   */
+  toGridOffset(gridX, gridY) {
+    return {
+      i: gridY + this.origin.i,
+      j: gridX + this.origin.j
+    };
+  }
+
+  /**
+   * Convert a Foundry offset {i: row, j: column} to module grid coordinates
+   * 将Foundry偏移坐标转换为模块网格坐标
+   */
+  fromGridOffset(offset) {
+    return {
+      x: offset.j - this.origin.j,
+      y: offset.i - this.origin.i
+    };
+  }
+
+  /**
+   * Convert a canvas point to grid coordinates
+   * Gridless scenes have no Foundry cells, they are divided into grid-sized squares from the scene origin
+   * 将canvas坐标点转换为网格坐标
+   * 无网格场景没有Foundry格子，从场景原点起按网格尺寸划分为正方形
+   */
+  getGridFromPoint(x, y) {
+    if (this.isGridless) {
+      return {
+        x: Math.floor((x - this.gridOffsetX) / this.gridSize),
+        y: Math.floor((y - this.gridOffsetY) / this.gridSize)
+      };
+    }
+
+    return this.fromGridOffset(this.grid.getOffset({ x, y }));
+  }
+
+  /**
+   * Get the canvas center point of a grid
+   * 获取网格在canvas中的中心点
+   */
+  getGridCenter(gridX, gridY) {
+    if (this.isGridless) {
+      return {
+        x: gridX * this.gridSize + this.gridOffsetX + this.gridSize / 2,
+        y: gridY * this.gridSize + this.gridOffsetY + this.gridSize / 2
+      };
+    }
+
+    return this.grid.getCenterPoint(this.toGridOffset(gridX, gridY));
+  }
+
+  /**
+   * Get the canvas top-left point of a grid (the top-left of its bounding box on hex grids)
+   * 获取网格在canvas中的左上角（六边形网格为其包围盒的左上角）
+   */
+  getGridTopLeft(gridX, gridY) {
+    if (this.isGridless) {
+      return {
+        x: gridX * this.gridSize + this.gridOffsetX,
+        y: gridY * this.gridSize + this.gridOffsetY
+      };
+    }
+
+    return this.grid.getTopLeftPoint(this.toGridOffset(gridX, gridY));
+  }
+
+  /**
+   * Get the outline of a grid cell relative to its center
+   * 获取网格单元相对于其中心的轮廓
+   */
+  getGridShape() {
+    if (this.isHex) {
+      return this.grid.getShape();
+    }
+
+    const half = this.gridSize / 2;
+    return [
+      { x: -half, y: -half },
+      { x: half, y: -half },
+      { x: half, y: half },
+      { x: -half, y: half }
+    ];
+  }
+
+  /**
+   * Convert grid coordinates to hex cube coordinates
+   * Hex grids only; Foundry handles row and column layouts with even or odd offsets
+   * 将网格坐标转换为六边形立方坐标
+   * 仅用于六边形网格；Foundry处理偶数或奇数偏移的行、列布局
+   */
+  gridToCube(gridX, gridY) {
+    return this.grid.offsetToCube(this.toGridOffset(gridX, gridY));
+  }
+
+  /**
+   * Convert hex cube coordinates back to grid coordinates
+   * 将六边形立方坐标转换回网格坐标
+   */
+  cubeToGrid(cube) {
+    return this.fromGridOffset(this.grid.cubeToOffset(cube));
+  }
+
+  /**
+   * Get the range of grid coordinates covering the whole canvas (scene + padding)
+   * 获取覆盖整个canvas（场景+padding）的网格坐标范围
+   */
+  getCanvasGridBounds() {
+    const { width, height } = this.dimensions;
+    const corners = [
+      this.getGridFromPoint(0, 0),
+      this.getGridFromPoint(width - 1, 0),
+      this.getGridFromPoint(0, height - 1),
+      this.getGridFromPoint(width - 1, height - 1)
+    ];
+
+    return {
+      left: Math.min(...corners.map(c => c.x)),
+      top: Math.min(...corners.map(c => c.y)),
+      right: Math.max(...corners.map(c => c.x)),
+      bottom: Math.max(...corners.map(c => c.y))
+    };
+  }
+
+  /**
+   * Get the grid bounds of the scene area (canvas without padding)
+   * 获取场景区域（不含边距的canvas）的网格范围
+   */
+  getSceneGridBounds() {
+    const { sceneX, sceneY, sceneWidth, sceneHeight } = this.dimensions;
+    const corners = [
+      this.getGridFromPoint(sceneX, sceneY),
+      this.getGridFromPoint(sceneX + sceneWidth - 1, sceneY),
+      this.getGridFromPoint(sceneX, sceneY + sceneHeight - 1),
+      this.getGridFromPoint(sceneX + sceneWidth - 1, sceneY + sceneHeight - 1)
+    ];
+
+    return {
+      left: Math.min(...corners.map(c => c.x)),
+      top: Math.min(...corners.map(c => c.y)),
+      right: Math.max(...corners.map(c => c.x)),
+      bottom: Math.max(...corners.map(c => c.y))
+    };
+  }
+
+  /**
+   * Convert a canvas point to a position on the map art, 0-1 across the background image
+   * 将canvas坐标点转换为地图图像上的位置，背景图像范围内为0-1
+   */
+  toArtPoint({ x, y }) {
+    const { sceneX, sceneY, sceneWidth, sceneHeight } = this.dimensions;
+    return {
+      u: (x - sceneX) / sceneWidth,
+      v: (y - sceneY) / sceneHeight
+    };
+  }
+
+  /**
+   * Convert a position on the map art back to a canvas point
+   * 将地图图像上的位置转换回canvas坐标点
+   */
+  fromArtPoint({ u, v }) {
+    const { sceneX, sceneY, sceneWidth, sceneHeight } = this.dimensions;
+    return {
+      x: sceneX + u * sceneWidth,
+      y: sceneY + v * sceneHeight
+    };
+  }
+
+  /**
+   * Summarize the geometry for logs and dialogs
+   * 汇总几何信息，用于日志和对话框
+   */
+  describe() {
+    return {
+      type: this.grid.type,
+      size: this.gridSize,
+      padding: this.padding,
+      width: this.dimensions.sceneWidth,
+      height: this.dimensions.sceneHeight,
+      shiftX: this.shiftX,
+      shiftY: this.shiftY
+    };
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * FVTT Map Height Editor - Height Codec
+ * Compact run-length encoded raster storage for grid heights
+ * 高度编解码器 - 网格高度的紧凑游程编码栅格存储
+ */
+
+const MODULE_ID = "fvtt-map-height";
+
+/**
+ * HeightCodec class - converts between the sparse "x,y" map and a base64 RLE raster
+ * 高度编解码类 - 在稀疏 "x,y" 映射和base64游程编码栅格之间转换
+ *
+ * Raster layout:
+ * - Cells are ordered row by row over the bounding box of the stored grids
+ * - Each run is a Uint32 count followed by an Int16 ("rle-i16") or Float64 ("rle-f64") value
+ * - Cells without a stored height use a sentinel (-32768 or NaN), so stored zeros survive a round trip
+ * - All numbers are little-endian
+ */
+export default class HeightCodec {
+
+  static ENCODINGS = {
+    "rle-i16": { size: 2, absent: -32768 },
+    "rle-f64": { size: 8, absent: NaN }
+  };
+
+  /**
+   * Encode a Map of "x,y" -> height into a raster object
+   * 将 "x,y" -> 高度 的Map编码为栅格对象
+   * @param {Map<string, number>} gridHeights
+   * @returns {object|null}  { encoding, x, y, width, height, data } or null when empty
+   */
+  static encode(gridHeights) {
+    const cells = [];
+    for (const [key, height] of gridHeights) {
+      const [x, y] = key.split(',').map(Number);
+      if (Number.isInteger(x) && Number.isInteger(y)) {
+        cells.push({ x, y, height });
+      }
+    }
+    if (cells.length === 0) return null;
+
+    // Bounding box of the stored grids (loop instead of spread, large maps exceed argument limits)
+    // 存储网格的包围盒（使用循环而非展开，大地图会超出参数数量限制）
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const cell of cells) {
+      minX = Math.min(minX, cell.x);
+      minY = Math.min(minY, cell.y);
+      maxX = Math.max(maxX, cell.x);
+      maxY = Math.max(maxY, cell.y);
+    }
+    const width = maxX - minX + 1;
+    const height = maxY - minY + 1;
+
+    // Whole heights fit in 16 bits, anything else is stored as 64-bit floats
+    // 整数高度使用16位存储，其他情况使用64位浮点数
+    const integer = cells.every(c => Number.isInteger(c.height) && Math.abs(c.height) < 32768);
+    const encoding = integer ? "rle-i16" : "rle-f64";
+    const { absent } = this.ENCODINGS[encoding];
+
+    // Walk the cells in raster order, emitting absent runs for the gaps between them
+    // 按栅格顺序遍历格子，格子之间的空隙输出为空值游程
+    const indexed = cells
+      .map(c => ({ index: (c.y - minY) * width + (c.x - minX), height: c.height }))
+      .sort((a, b) => a.index - b.index);
+
+    const runs = [];
+    const push = (count, value) => {
+      const last = runs[runs.length - 1];
+      if (last && Object.is(last.value, value)) {
+        last.count += count;
+      } else {
+        runs.push({ count, value });
+      }
+    };
+
+    let cursor = 0;
+    for (const cell of indexed) {
+      if (cell.index > cursor) push(cell.index - cursor, absent);
+      push(1, cell.height);
+      cursor = cell.index + 1;
+    }
+
+    return {
+      encoding,
+      x: minX,
+      y: minY,
+      width,
+      height,
+      data: this.toBase64(this.packRuns(runs, encoding))
+    };
+  }
+
+  /**
+   * Decode a raster object back into a Map of "x,y" -> height
+   * 将栅格对象解码回 "x,y" -> 高度 的Map
+   */
+  static decode(raster) {
+    const gridHeights = new Map();
+    if (!raster?.data) return gridHeights;
+
+    const format = this.ENCODINGS[raster.encoding];
+    if (!format) {
+      throw new Error(`${MODULE_ID} | Unknown raster encoding: ${raster.encoding}`);
+    }
+
+    const bytes = this.fromBase64(raster.data);
+    const view = new DataView(bytes.buffer);
+    const stride = 4 + format.size;
+    const total = raster.width * raster.height;
+
+    let index = 0;
+    for (let offset = 0; offset + stride <= bytes.length; offset += stride) {
+      const count = view.getUint32(offset, true);
+      const value = raster.encoding === "rle-i16"
+        ? view.getInt16(offset + 4, true)
+        : view.getFloat64(offset + 4, true);
+
+      if (Object.is(value, format.absent)) {
+        index += count;
+        continue;
+      }
+
+      for (let n = 0; n < count && index < total; n++, index++) {
+        const x = raster.x + (index % raster.width);
+        const y = raster.y + Math.floor(index / raster.width);
+        gridHeights.set(`${x},${y}`, value);
+      }
+    }
+
+    return gridHeights;
+  }
+
+  /**
+   * Pack runs into bytes
+   * 将游程打包为字节
+   */
+  static packRuns(runs, encoding) {
+    const stride = 4 + this.ENCODINGS[encoding].size;
+    const bytes = new Uint8Array(runs.length * stride);
+    const view = new DataView(bytes.buffer);
+
+    runs.forEach((run, index) => {
+      const offset = index * stride;
+      view.setUint32(offset, run.count, true);
+      if (encoding === "rle-i16") {
+        view.setInt16(offset + 4, run.value, true);
+      } else {
+        view.setFloat64(offset + 4, run.value, true);
+      }
+    });
+
+    return bytes;
+  }
+
+  /**
+   * Convert bytes to base64 (chunked to stay below argument limits)
+   * 将字节转换为base64（分块处理以避免参数数量限制）
+   */
+  static toBase64(bytes) {
+    let binary = "";
+    const chunkSize = 0x8000;
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Convert base64 to bytes
+   * 将base64转换为字节
+   */
+  static fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+      bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes;
+  }
+}
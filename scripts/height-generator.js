@@ -0,0 +1,334 @@
+/**
+ * FVTT Map Height Editor - Height Generator
+ * Rasterises Drawings and closed wall loops into grid heights
+ * 高度生成器 - 将绘图和闭合墙体回路栅格化为网格高度
+ */
+
+const MODULE_ID = "fvtt-map-height";
+
+/**
+ * HeightGenerator class - builds grid heights from scene Drawings and walls
+ * 高度生成器类 - 根据场景绘图和墙体生成网格高度
+ *
+ * - Drawings (rectangles, ellipses, polygons) take their height from the
+ *   `flags.fvtt-map-height.height` flag, or else from a number in their text ("15", "15 ft")
+ * - Closed wall loops take the height flag of one of their walls, or else the height given in the dialog.
+ *   Only loops where every corner joins exactly two walls are used.
+ * - Every grid whose center lies inside a shape gets its height; drawings higher in the sort order
+ *   and smaller wall loops (courtyards, inner rooms) win where shapes overlap
+ * - The changed grids are previewed on the overlay before anything is saved
+ */
+export default class HeightGenerator {
+
+  // Points used to approximate an ellipse
+  // 近似椭圆所用的点数
+  static ELLIPSE_SEGMENTS = 32;
+
+  constructor(heightManager) {
+    this.heightManager = heightManager;
+  }
+
+  /**
+   * Ask what to generate from, then preview the result
+   * 询问生成来源，然后预览结果
+   */
+  async prompt() {
+    if (!this.heightManager?.scene) return;
+
+    if (this.heightManager.isGridless) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Generator.GridlessUnsupported"));
+      return;
+    }
+
+    const selected = canvas.drawings?.controlled.map(drawing => drawing.document) ?? [];
+    const brushHeight = window.MapHeightEditor?.currentBrushHeight || 0;
+    const content = `
+      <form class="map-height-generator">
+        <p class="hint">${game.i18n.localize("MAP_HEIGHT.Generator.Hint")}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Generator.Source")}</label>
+          <select name="source">
+            <option value="selected" ${selected.length ? "selected" : "disabled"}>
+              ${game.i18n.format("MAP_HEIGHT.Generator.Sources.selected", { count: selected.length })}
+            </option>
+            <option value="drawings" ${selected.length ? "" : "selected"}>${game.i18n.localize("MAP_HEIGHT.Generator.Sources.drawings")}</option>
+            <option value="walls">${game.i18n.localize("MAP_HEIGHT.Generator.Sources.walls")}</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Generator.WallHeight")}</label>
+          <input type="number" name="wallHeight" value="${brushHeight}" step="any">
+        </div>
+      </form>
+    `;
+
+    const options = await Dialog.prompt({
+      title: game.i18n.localize("MAP_HEIGHT.Generator.Title"),
+      content,
+      label: game.i18n.localize("MAP_HEIGHT.Generator.Generate"),
+      rejectClose: false,
+      callback: html => {
+        const form = html[0].querySelector("form");
+        return { source: form.source.value, wallHeight: Number(form.wallHeight.value) };
+      }
+    });
+    if (!options) return;
+
+    let result;
+    if (options.source === "walls") {
+      if (!this.heightManager.validateHeight(options.wallHeight)) {
+        ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Notifications.InvalidHeight"));
+        return;
+      }
+      result = this.fromWalls(options.wallHeight);
+    } else {
+      const drawings = options.source === "selected" ? selected : [...canvas.scene.drawings];
+      result = this.fromDrawings(drawings);
+    }
+
+    if (result.heights.size === 0) {
+      ui.notifications.warn(game.i18n.format("MAP_HEIGHT.Generator.Nothing", { skipped: result.skipped }));
+      return;
+    }
+
+    await this.preview(result);
+  }
+
+  /**
+   * Rasterise Drawings into grid heights
+   * 将绘图栅格化为网格高度
+   * @param {DrawingDocument[]} drawings
+   * @returns {{heights: Map<string, number>, shapes: number, skipped: number}}
+   */
+  fromDrawings(drawings) {
+    const heights = new Map();
+    let shapes = 0;
+    let skipped = 0;
+
+    const ordered = [...drawings].sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0));
+    for (const drawing of ordered) {
+      const height = this.getDrawingHeight(drawing);
+      const polygon = this.getDrawingPolygon(drawing);
+      if (height === null || !polygon) {
+        skipped++;
+        continue;
+      }
+
+      this.rasterise(polygon, height, heights);
+      shapes++;
+    }
+
+    return { heights, shapes, skipped };
+  }
+
+  /**
+   * Rasterise closed wall loops into grid heights
+   * 将闭合墙体回路栅格化为网格高度
+   * @param {number} defaultHeight  Height of loops without a height flag
+   * @returns {{heights: Map<string, number>, shapes: number, skipped: number}}
+   */
+  fromWalls(defaultHeight) {
+    const heights = new Map();
+
+    // Outer loops first, so rooms and courtyards inside them win
+    // 先处理外层回路，使其中的房间和庭院优先
+    const loops = this.getWallLoops()
+      .map(loop => ({ ...loop, area: Math.abs(this.getPolygonArea(loop.points)) }))
+      .sort((a, b) => b.area - a.area);
+
+    for (const loop of loops) {
+      const height = loop.walls
+        .map(wall => Number(wall.getFlag(MODULE_ID, "height")))
+        .find(value => Number.isFinite(value)) ?? defaultHeight;
+      this.rasterise(new PIXI.Polygon(loop.points), height, heights);
+    }
+
+    return { heights, shapes: loops.length, skipped: 0 };
+  }
+
+  /**
+   * Set the height of every grid whose center lies inside a polygon
+   * 设置中心位于多边形内的所有网格的高度
+   */
+  rasterise(polygon, height, heights) {
+    for (const { x, y } of this.heightManager.getGridsInShape(polygon)) {
+      heights.set(this.heightManager.getGridKey(x, y), height);
+    }
+  }
+
+  /**
+   * Read the height of a Drawing from its flag or its text
+   * 从绘图的标志或文本读取高度
+   * @returns {number|null}
+   */
+  getDrawingHeight(drawing) {
+    const flag = drawing.getFlag(MODULE_ID, "height");
+    const value = flag !== undefined && flag !== null && flag !== ""
+      ? Number(flag)
+      : parseFloat(drawing.text ?? "");
+
+    return this.heightManager.validateHeight(value) ? value : null;
+  }
+
+  /**
+   * Convert a Drawing to a polygon in canvas coordinates, including its rotation
+   * 将绘图转换为canvas坐标中的多边形（包括其旋转）
+   * @returns {PIXI.Polygon|null}
+   */
+  getDrawingPolygon(drawing) {
+    const { TYPES } = foundry.data.ShapeData;
+    const { type, width, height } = drawing.shape;
+    let points;
+
+    switch (type) {
+      case TYPES.RECTANGLE:
+        points = [0, 0, width, 0, width, height, 0, height];
+        break;
+      case TYPES.ELLIPSE:
+      case TYPES.CIRCLE: {
+        points = [];
+        for (let i = 0; i < HeightGenerator.ELLIPSE_SEGMENTS; i++) {
+          const angle = (i / HeightGenerator.ELLIPSE_SEGMENTS) * Math.PI * 2;
+          points.push(width / 2 + Math.cos(angle) * width / 2, height / 2 + Math.sin(angle) * height / 2);
+        }
+        break;
+      }
+      case TYPES.POLYGON:
+        points = [...drawing.shape.points];
+        break;
+      default:
+        return null;
+    }
+    if (points.length < 6) return null;
+
+    // Rotate around the drawing's center, then move to its position
+    // 绕绘图中心旋转，然后移动到其位置
+    const angle = Math.toRadians(drawing.rotation || 0);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const cx = width / 2;
+    const cy = height / 2;
+
+    const canvasPoints = [];
+    for (let i = 0; i < points.length; i += 2) {
+      const dx = points[i] - cx;
+      const dy = points[i + 1] - cy;
+      canvasPoints.push(
+        drawing.x + cx + dx * cos - dy * sin,
+        drawing.y + cy + dx * sin + dy * cos
+      );
+    }
+
+    return new PIXI.Polygon(canvasPoints);
+  }
+
+  /**
+   * Find closed wall loops
+   * Walls are joined at endpoints rounded to whole pixels; components with branches are ignored
+   * 查找闭合的墙体回路
+   * 墙体在取整到像素的端点处相连；包含分支的部分将被忽略
+   * @returns {{points: number[], walls: WallDocument[]}[]}
+   */
+  getWallLoops() {
+    const vertices = new Map(); // Point key -> { x, y, edges: [{ to, wall }] }
+    const pointKey = (x, y) => `${Math.round(x)},${Math.round(y)}`;
+
+    for (const wall of canvas.scene.walls) {
+      const [x0, y0, x1, y1] = wall.c;
+      const a = pointKey(x0, y0);
+      const b = pointKey(x1, y1);
+      if (a === b) continue;
+
+      if (!vertices.has(a)) vertices.set(a, { x: x0, y: y0, edges: [] });
+      if (!vertices.has(b)) vertices.set(b, { x: x1, y: y1, edges: [] });
+      vertices.get(a).edges.push({ to: b, wall });
+      vertices.get(b).edges.push({ to: a, wall });
+    }
+
+    const loops = [];
+    const visited = new Set();
+
+    for (const start of vertices.keys()) {
+      if (visited.has(start)) continue;
+
+      // Collect the connected component
+      // 收集连通分量
+      const component = [start];
+      visited.add(start);
+      for (let index = 0; index < component.length; index++) {
+        for (const edge of vertices.get(component[index]).edges) {
+          if (!visited.has(edge.to)) {
+            visited.add(edge.to);
+            component.push(edge.to);
+          }
+        }
+      }
+
+      if (component.length < 3 || component.some(key => vertices.get(key).edges.length !== 2)) continue;
+
+      // Walk around the loop
+      // 沿回路行走
+      const points = [];
+      const walls = [];
+      let previous = null;
+      let current = start;
+      do {
+        const vertex = vertices.get(current);
+        const edge = vertex.edges[0].to === previous && vertex.edges[1] ? vertex.edges[1] : vertex.edges[0];
+        points.push(vertex.x, vertex.y);
+        walls.push(edge.wall);
+        previous = current;
+        current = edge.to;
+      } while (current !== start && points.length <= component.length * 2);
+
+      loops.push({ points, walls });
+    }
+
+    return loops;
+  }
+
+  /**
+   * Get the signed area of a flat point array
+   * 获取扁平点数组的有向面积
+   */
+  getPolygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i += 2) {
+      const j = (i + 2) % points.length;
+      area += points[i] * points[j + 1] - points[j] * points[i + 1];
+    }
+    return area / 2;
+  }
+
+  /**
+   * Preview the changed grids and apply them when confirmed
+   * 预览变化的网格，确认后应用
+   */
+  async preview({ heights, shapes, skipped }) {
+    const overlay = window.MapHeightEditor?.heightOverlay;
+    if (!overlay) return;
+
+    const changes = this.heightManager.getHeightChanges(heights);
+    if (changes.length === 0) {
+      ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Generator.NoChanges"));
+      return;
+    }
+
+    const content = `
+      <p>${game.i18n.format("MAP_HEIGHT.Generator.Summary", { shapes, grids: heights.size })}</p>
+      ${skipped ? `<p class="hint">${game.i18n.format("MAP_HEIGHT.Generator.Skipped", { skipped })}</p>` : ""}
+    `;
+
+    const confirmed = await overlay.confirmChangePreview(changes, {
+      title: game.i18n.localize("MAP_HEIGHT.Generator.PreviewTitle"),
+      content
+    });
+    if (!confirmed) return;
+
+    this.heightManager.beginOperation("generate");
+    await this.heightManager.setGridHeights(changes);
+    this.heightManager.commitOperation();
+
+    ui.notifications.info(game.i18n.format("MAP_HEIGHT.Generator.Applied", { count: changes.length }));
+  }
+}
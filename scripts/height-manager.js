@@ -3,17 +3,59 @@
  * Manages height data storage using Scene flags
  */
 
+import GridCoordinates from './grid-coordinates.js';
+import HeightCodec from './height-codec.js';
+import MigrationManager from './migration-manager.js';
+
 const MODULE_ID = "fvtt-map-height";
 
+// Version written with heightData flags and exports
+// 写入heightData标志和导出数据的版本号
+const DATA_VERSION = MigrationManager.CURRENT_VERSION;
+
+// Maps with at least this many stored grids use the compact raster in "auto" storage mode
+// "自动"存储模式下，存储网格数达到该值的地图使用紧凑栅格
+const COMPACT_THRESHOLD = 500;
+
 /**
  * HeightManager class - handles all height data operations
  * 高度管理器类 - 处理所有高度数据操作
  */
 export default class HeightManager {
+
+  // Ways to combine the heights under a multi-cell token
+  // 多格Token下方高度的合并方式
+  static AGGREGATION_MODES = ["max", "min", "center", "mean", "majority"];
+
+  // What an exception ({ scope, id }) can be keyed by
+  // 例外（{ scope, id }）可使用的键类型
+  static EXCEPTION_SCOPES = ["token", "actor", "folder", "disposition"];
+
+  // Footprints the paint brush can have
+  // 画笔可用的笔刷形状
+  static BRUSH_SHAPES = ["square", "circle", "diamond"];
+
+  // How the brush changes the heights it covers: set the brush height, add it (raise/lower),
+  // average with neighbors (smooth), copy the first clicked grid (flatten) or limit to a range (clamp)
+  // 画笔如何改变覆盖的高度：设为画笔高度、叠加画笔高度（升高/降低）、
+  // 与相邻格取平均（平滑）、复制首次点击的网格（整平）或限制在范围内（钳制）
+  static BRUSH_MODES = ["set", "raise", "smooth", "flatten", "clamp"];
+
+  // How imported grid heights combine with the stored ones: replace everything, overwrite
+  // the imported grids (merge), only fill grids without a height (keep) or add the heights
+  // 导入的网格高度如何与已存储的合并：全部替换、覆盖导入的网格（合并）、
+  // 仅填充没有高度的网格（保留）或叠加高度
+  static IMPORT_MODES = ["replace", "merge", "keep", "add"];
+
+  // Scene fields that move grids relative to the map art
+  // 会使网格相对于地图图像移动的场景字段
+  static GEOMETRY_KEYS = ["grid", "padding", "width", "height", "background.offsetX", "background.offsetY"];
+
   constructor() {
     this.scene = null;
     this.gridHeights = new Map();
-    this.exceptTokens = new Set();
+    this.regions = []; // Freeform height regions for gridless scenes
+    this.exceptions = []; // Scene exceptions as { scope, id }, world exceptions live in the worldExceptions setting
     this.enabled = false;
     
     // Cache for performance optimization
@@ -21,10 +63,35 @@ export default class HeightManager {
     this.lastCacheUpdate = 0;
     this.cacheTimeout = 1000; // 1 second cache timeout
     
-    // Grid parameters (synchronized with height-overlay)
+    // Grid parameters - the coordinate service shared with the overlay, layer and token automation
+    // 网格参数 - 与覆盖层、图层和Token自动化共享的坐标服务
+    this.coordinates = null;
     this.gridSize = 100;
-    this.gridOffsetX = 0;
-    this.gridOffsetY = 0;
+    this.isHex = false;
+
+    // Gridless parameters - regions are stored relative to the scene's top-left corner
+    // 无网格参数 - 区域坐标相对于场景左上角存储
+    this.isGridless = false;
+    this.sceneOriginX = 0;
+    this.sceneOriginY = 0;
+
+    // Operation currently being recorded for undo/redo (see beginOperation)
+    // 当前正在记录的撤销/重做操作
+    this.currentOperation = null;
+
+    // Batched persistence - grid edits are buffered and flushed as one diff-based flag update
+    // 批量持久化 - 网格编辑先缓存，再以一次差量标志更新写入
+    this.dirtyGridKeys = new Set();
+    this.saveTimer = null;
+    this.pendingSave = null; // { promise, resolve } for callers awaiting the next flush
+    this.saveDelay = 300; // Debounce window in milliseconds
+    this.storedFormat = "sparse"; // Format of the gridHeights currently in the scene flags ("sparse" or "compact")
+
+    // Pick up height data saved by other clients, and grid geometry changes made on this one
+    // 获取其他客户端保存的高度数据，以及本客户端所做的网格几何变化
+    this.previousCoordinates = new Map(); // Scene id -> geometry captured before this client changes that scene's grid
+    Hooks.on('preUpdateScene', this.onScenePreUpdate.bind(this));
+    Hooks.on('updateScene', this.onSceneUpdate.bind(this));
   }
 
   /**
@@ -32,6 +99,12 @@ export default class HeightManager {
    * 为当前场景初始化高度管理器
    */
   initialize(scene = null) {
+    // Persist edits still buffered for the previous scene before switching
+    // 切换场景前写入上一个场景仍在缓存中的编辑
+    if (this.scene && this.dirtyGridKeys.size > 0) {
+      this.flushHeightData();
+    }
+
     this.scene = scene || canvas.scene;
     if (!this.scene) {
       console.warn(`${MODULE_ID} | No scene available for height manager`);
@@ -44,34 +117,288 @@ export default class HeightManager {
   }
 
   /**
-   * Update grid parameters to sync with height-overlay
-   * 更新网格参数以与height-overlay同步
+   * Rebuild the coordinate service for the scene on the canvas
+   * Grid (0,0) always points to the scene origin, regardless of padding and background shift; the padding area has negative coordinates
+   * 为canvas上的场景重建坐标服务
+   * Grid (0,0) 始终指向场景原点，无论padding和背景偏移如何变化；padding区域为负坐标
    */
   updateGridParameters() {
     if (!canvas || !canvas.grid || !canvas.scene) return;
 
-    this.gridSize = canvas.grid.size;
+    this.coordinates = new GridCoordinates(canvas.scene);
+    this.gridSize = this.coordinates.gridSize;
+    this.isHex = this.coordinates.isHex;
+    this.isGridless = this.coordinates.isGridless;
+    this.sceneOriginX = this.coordinates.dimensions.sceneX;
+    this.sceneOriginY = this.coordinates.dimensions.sceneY;
+  }
+
+  /**
+   * Convert a canvas point to grid coordinates
+   * 将canvas坐标点转换为网格坐标
+   */
+  getGridFromPoint(x, y) {
+    return this.coordinates.getGridFromPoint(x, y);
+  }
+
+  /**
+   * Get the canvas center point of a grid
+   * 获取网格在canvas中的中心点
+   */
+  getGridCenter(gridX, gridY) {
+    return this.coordinates.getGridCenter(gridX, gridY);
+  }
+
+  /**
+   * Get the canvas top-left point of a grid
+   * 获取网格在canvas中的左上角
+   */
+  getGridTopLeft(gridX, gridY) {
+    return this.coordinates.getGridTopLeft(gridX, gridY);
+  }
+
+  /**
+   * Get the outline of a grid cell relative to its center
+   * 获取网格单元相对于其中心的轮廓
+   */
+  getGridShape() {
+    return this.coordinates.getGridShape();
+  }
+
+  /**
+   * Get the absolute canvas vertices of a grid cell
+   * 获取网格单元在canvas中的顶点
+   */
+  getGridPolygon(gridX, gridY) {
+    const center = this.getGridCenter(gridX, gridY);
+    return this.getGridShape().map(p => ({ x: center.x + p.x, y: center.y + p.y }));
+  }
+
+  /**
+   * Convert module grid coordinates to a Foundry offset {i: row, j: column}
+   * 将模块网格坐标转换为Foundry偏移坐标
+   */
+  toGridOffset(gridX, gridY) {
+    return this.coordinates.toGridOffset(gridX, gridY);
+  }
+
+  /**
+   * Convert a Foundry offset {i: row, j: column} to module grid coordinates
+   * 将Foundry偏移坐标转换为模块网格坐标
+   */
+  fromGridOffset(offset) {
+    return this.coordinates.fromGridOffset(offset);
+  }
+
+  /**
+   * Convert grid coordinates to hex cube coordinates
+   * 将网格坐标转换为六边形立方坐标
+   */
+  gridToCube(gridX, gridY) {
+    return this.coordinates.gridToCube(gridX, gridY);
+  }
+
+  /**
+   * Convert hex cube coordinates back to grid coordinates
+   * 将六边形立方坐标转换回网格坐标
+   */
+  cubeToGrid(cube) {
+    return this.coordinates.cubeToGrid(cube);
+  }
+
+  /**
+   * Get the grids adjacent to a grid
+   * Square grids return 4 neighbours (8 with diagonals), hex grids always return 6
+   * 获取相邻网格
+   */
+  getGridNeighbors(gridX, gridY, diagonals = false) {
+    if (this.isHex) {
+      const cube = this.gridToCube(gridX, gridY);
+      const directions = [
+        [1, -1, 0], [1, 0, -1], [0, 1, -1],
+        [-1, 1, 0], [-1, 0, 1], [0, -1, 1]
+      ];
+      return directions.map(([dq, dr, ds]) => this.cubeToGrid({
+        q: cube.q + dq,
+        r: cube.r + dr,
+        s: cube.s + ds
+      }));
+    }
+
+    const neighbors = [
+      { x: gridX + 1, y: gridY },
+      { x: gridX - 1, y: gridY },
+      { x: gridX, y: gridY + 1 },
+      { x: gridX, y: gridY - 1 }
+    ];
+
+    if (diagonals) {
+      neighbors.push(
+        { x: gridX + 1, y: gridY + 1 },
+        { x: gridX + 1, y: gridY - 1 },
+        { x: gridX - 1, y: gridY + 1 },
+        { x: gridX - 1, y: gridY - 1 }
+      );
+    }
+
+    return neighbors;
+  }
+
+  /**
+   * Get the range of grid coordinates covering the whole canvas (scene + padding)
+   * 获取覆盖整个canvas（场景+padding）的网格坐标范围
+   */
+  getCanvasGridBounds() {
+    return this.coordinates.getCanvasGridBounds();
+  }
+
+  /**
+   * Get the grid bounds of the scene area (canvas without padding)
+   * 获取场景区域（不含边距的canvas）的网格范围
+   */
+  getSceneGridBounds() {
+    return this.coordinates.getSceneGridBounds();
+  }
+
+  /**
+   * Collect the contiguous grids sharing the start grid's height
+   * Stops at the scene bounds and once more than `limit` grids are found
+   * 收集与起始网格高度相同的连续网格
+   * 在场景边界处停止，找到超过 `limit` 个网格时中止
+   * @param {number} startX
+   * @param {number} startY
+   * @param {object} [options]
+   * @param {boolean} [options.diagonals=false]  8-connectivity on square grids (hex grids always use their 6 neighbors)
+   * @param {number} [options.limit=5000]        Safety cap on the number of grids
+   * @returns {{grids: {x: number, y: number}[], height: number, truncated: boolean}}
+   */
+  getFloodFillGrids(startX, startY, { diagonals = false, limit = 5000 } = {}) {
+    const height = this.getGridHeight(startX, startY);
+    const bounds = this.getSceneGridBounds();
+    const inBounds = ({ x, y }) => x >= bounds.left && x <= bounds.right && y >= bounds.top && y <= bounds.bottom;
+
+    // Breadth-first search, the queue doubles as the result list
+    // 广度优先搜索，队列同时作为结果列表
+    const visited = new Set([`${startX},${startY}`]);
+    const grids = [{ x: startX, y: startY }];
+
+    for (let index = 0; index < grids.length; index++) {
+      if (grids.length > limit) {
+        return { grids: [], height, truncated: true };
+      }
+
+      const grid = grids[index];
+      for (const neighbor of this.getGridNeighbors(grid.x, grid.y, diagonals)) {
+        const key = `${neighbor.x},${neighbor.y}`;
+        if (visited.has(key) || !inBounds(neighbor)) continue;
+        visited.add(key);
+
+        if (this.getGridHeight(neighbor.x, neighbor.y) === height) {
+          grids.push(neighbor);
+        }
+      }
+    }
+
+    return { grids, height, truncated: false };
+  }
+
+  /**
+   * Get the grids covered by a brush centered on a grid
+   * Radius 1 is the center grid alone, every step adds one ring of grids.
+   * Shapes are measured between grid centers in grid units, so hex grids get the same footprints.
+   * 获取以某网格为中心的画笔覆盖的网格
+   * 半径1仅为中心网格，每增加1向外扩展一圈网格
+   * 形状按网格中心之间的距离（以网格为单位）计算，因此六边形网格也有相同的形状
+   * @param {number} centerX
+   * @param {number} centerY
+   * @param {number} [radius=1]
+   * @param {string} [shape="square"]  One of BRUSH_SHAPES
+   * @returns {{x: number, y: number}[]}
+   */
+  getBrushGrids(centerX, centerY, radius = 1, shape = "square") {
+    const reach = Math.max(0, Math.round(radius) - 1);
+    if (reach === 0) return [{ x: centerX, y: centerY }];
+
+    const limit = reach + 0.5;
+    const inShape = (dx, dy) => {
+      switch (shape) {
+        case "circle": return Math.hypot(dx, dy) <= limit;
+        case "diamond": return Math.abs(dx) + Math.abs(dy) <= limit;
+        default: return Math.max(Math.abs(dx), Math.abs(dy)) <= limit;
+      }
+    };
+
+    // Hex rows or columns sit closer than one grid apart, so search a wider offset range
+    // 六边形的行或列间距小于一个网格，因此搜索更大的偏移范围
+    const span = this.isHex ? Math.ceil(reach * 1.5) : reach;
+    const bounds = this.getCanvasGridBounds();
+    const center = this.getGridCenter(centerX, centerY);
+    const unitX = this.isHex ? this.coordinates.grid.sizeX : this.gridSize;
+    const unitY = this.isHex ? this.coordinates.grid.sizeY : this.gridSize;
+    const grids = [];
+
+    for (let y = centerY - span; y <= centerY + span; y++) {
+      if (y < bounds.top || y > bounds.bottom) continue;
+      for (let x = centerX - span; x <= centerX + span; x++) {
+        if (x < bounds.left || x > bounds.right) continue;
+
+        const point = this.getGridCenter(x, y);
+        if (inShape((point.x - center.x) / unitX, (point.y - center.y) / unitY)) {
+          grids.push({ x, y });
+        }
+      }
+    }
+
+    return grids;
+  }
+
+  /**
+   * Compute the heights a brush mode gives a set of grids
+   * Every result is computed from the heights before the brush is applied, so smoothing does not depend on grid order.
+   * 计算画笔模式为一组网格给出的高度
+   * 所有结果都基于应用画笔前的高度计算，因此平滑结果与网格顺序无关
+   * @param {{x: number, y: number}[]} gridPositions
+   * @param {string} mode  One of BRUSH_MODES
+   * @param {object} [options]
+   * @param {number} [options.value=0]        Brush height (set) or amount to add (raise)
+   * @param {number} [options.reference]      Height flatten copies, defaults to value
+   * @param {number} [options.min=-Infinity]  Lower clamp limit
+   * @param {number} [options.max=Infinity]   Upper clamp limit
+   * @returns {{x: number, y: number, height: number}[]}  Only grids whose height changes
+   */
+  getBrushHeights(gridPositions, mode, { value = 0, reference = value, min = -Infinity, max = Infinity } = {}) {
+    const results = [];
 
-    // Calculate padding offset - scene origin in canvas coordinates
-    // Grid (0,0) should always point to scene (0,0), regardless of padding
-    // Padding adds extra space around the scene, shifting the scene's position in canvas
-    // 计算padding偏移量 - scene原点在canvas坐标系中的位置
-    // Grid (0,0) 应该始终指向 scene (0,0)，无论padding如何变化
-    // Padding在scene周围添加额外空间，使scene在canvas中的位置发生偏移
-    const padding = canvas.scene.padding || 0;
-    const sceneWidth = canvas.scene.width;
-    const sceneHeight = canvas.scene.height;
+    for (const { x, y } of gridPositions) {
+      const current = this.getGridHeight(x, y);
+      let height;
 
-    // Calculate padding in grid units, then convert to pixels
-    // Padding is applied symmetrically on all sides
-    const paddingGridsX = Math.ceil((sceneWidth * padding) / this.gridSize);
-    const paddingGridsY = Math.ceil((sceneHeight * padding) / this.gridSize);
+      switch (mode) {
+        case "raise":
+          height = current + value;
+          break;
+        case "smooth": {
+          const neighbors = this.getGridNeighbors(x, y, true);
+          const total = neighbors.reduce((sum, n) => sum + this.getGridHeight(n.x, n.y), current);
+          height = Math.round(total / (neighbors.length + 1) * 10) / 10;
+          break;
+        }
+        case "flatten":
+          height = reference;
+          break;
+        case "clamp":
+          height = Math.min(Math.max(current, min), max);
+          break;
+        default:
+          height = value;
+      }
+
+      if (height !== current && this.validateHeight(height)) {
+        results.push({ x, y, height });
+      }
+    }
 
-    // Grid offset = scene's top-left position in canvas coordinates
-    // This makes grid (0,0) always correspond to scene (0,0)
-    // Padding area will have negative grid coordinates (e.g., -1, -2)
-    this.gridOffsetX = paddingGridsX * this.gridSize;
-    this.gridOffsetY = paddingGridsY * this.gridSize;
+    return results;
   }
 
   /**
@@ -80,23 +407,40 @@ export default class HeightManager {
    */
   loadHeightData() {
     try {
-      const flagData = this.scene.getFlag(MODULE_ID, "heightData") || {};
+      let flagData = this.scene.getFlag(MODULE_ID, "heightData") || {};
+
+      // Scenes the world migration has not reached yet (e.g. imported from a compendium) are upgraded in memory
+      // 尚未被世界迁移处理的场景（例如从合集包导入）在内存中升级
+      if (MigrationManager.isFromNewerVersion(flagData)) {
+        console.warn(`${MODULE_ID} | Height data of scene ${this.scene.name} was saved by a newer version (${flagData.version})`);
+      } else if (MigrationManager.needsMigration(flagData)) {
+        flagData = MigrationManager.migrate(flagData, { scene: this.scene }).data;
+      }
       
-      // Load grid heights
+      // Load grid heights - compact raster, or the sparse "x,y" object used since 1.0.0
+      // 加载网格高度 - 紧凑栅格，或自1.0.0起使用的稀疏 "x,y" 对象
       this.gridHeights.clear();
-      if (flagData.gridHeights) {
-        Object.entries(flagData.gridHeights).forEach(([key, height]) => {
-          this.gridHeights.set(key, Number(height));
-        });
+      if (flagData.format === "compact" && flagData.raster) {
+        this.gridHeights = HeightCodec.decode(flagData.raster);
+        this.storedFormat = "compact";
+      } else {
+        if (flagData.gridHeights) {
+          Object.entries(flagData.gridHeights).forEach(([key, height]) => {
+            this.gridHeights.set(key, Number(height));
+          });
+        }
+        this.storedFormat = "sparse";
       }
       
-      // Load exception tokens
-      this.exceptTokens.clear();
-      if (flagData.exceptTokens) {
-        flagData.exceptTokens.forEach(tokenId => {
-          this.exceptTokens.add(tokenId);
-        });
-      }
+      // Load freeform regions
+      this.regions = Array.isArray(flagData.regions)
+        ? flagData.regions.filter(region => this.validateRegion(region)).map(region => ({ ...region }))
+        : [];
+      
+      // Load scene exceptions
+      this.exceptions = Array.isArray(flagData.exceptions)
+        ? flagData.exceptions.filter(exception => this.validateException(exception)).map(({ scope, id }) => ({ scope, id }))
+        : [];
       
       // Load enabled state
       this.enabled = flagData.enabled !== false; // Default to true
@@ -108,6 +452,194 @@ export default class HeightManager {
     }
   }
 
+  /**
+   * Reload height data when another client changes the current scene's flags
+   * Grids still buffered on this client keep their local value
+   * 其他客户端修改当前场景标志时重新加载高度数据
+   * 本客户端仍在缓存中的网格保留本地值
+   */
+  onSceneUpdate(scene, changes, options, userId) {
+    if (userId === game.user.id && this.previousCoordinates.has(scene.id)) {
+      const previous = this.previousCoordinates.get(scene.id);
+      this.previousCoordinates.delete(scene.id);
+      this.onGeometryChange(scene, previous);
+    }
+
+    if (scene.id !== this.scene?.id || userId === game.user.id) return;
+    if (!foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) return;
+
+    const buffered = new Map();
+    for (const key of this.dirtyGridKeys) {
+      buffered.set(key, this.gridHeights.get(key));
+    }
+
+    this.loadHeightData();
+
+    buffered.forEach((height, key) => {
+      if (height === undefined) {
+        this.gridHeights.delete(key);
+      } else {
+        this.gridHeights.set(key, height);
+      }
+    });
+    this.gridCache.clear();
+
+    Hooks.callAll(`${MODULE_ID}.dataReloaded`, this.scene);
+  }
+
+  /**
+   * Capture the grid geometry before this client changes the grid, padding or size of any scene with height data
+   * preUpdateScene only runs on the client making the change, so only that GM is asked to remap
+   * 在本客户端修改任意带有高度数据的场景的网格、边距或尺寸之前捕获网格几何
+   * preUpdateScene 只在做出修改的客户端运行，因此只询问该GM是否重映射
+   */
+  onScenePreUpdate(scene, changes) {
+    if (scene.grid.isGridless || !scene.getFlag(MODULE_ID, "heightData")) return;
+    if (!HeightManager.GEOMETRY_KEYS.some(key => foundry.utils.hasProperty(changes, key))) return;
+
+    this.previousCoordinates.set(scene.id, new GridCoordinates(scene));
+  }
+
+  /**
+   * Log a grid geometry change and offer to resample the grid heights into the new geometry
+   * 记录网格几何变化，并提供将网格高度重新采样到新几何的选项
+   * @param {Scene} scene
+   * @param {GridCoordinates} previous  Geometry before the change
+   */
+  async onGeometryChange(scene, previous) {
+    const current = new GridCoordinates(scene);
+    const before = previous.describe();
+    const after = current.describe();
+    const changes = Object.keys(before)
+      .filter(key => before[key] !== after[key])
+      .map(key => ({ key, from: before[key], to: after[key] }));
+    if (changes.length === 0) return;
+
+    console.log(`${MODULE_ID} | Grid geometry of scene ${scene.name} changed:`, changes);
+
+    // The scene on the canvas is remapped in memory, any other scene straight from its flags
+    // canvas上的场景在内存中重映射，其他场景直接从其标志重映射
+    const isCurrent = scene.id === this.scene?.id;
+    const count = isCurrent
+      ? this.gridHeights.size
+      : this.readImportData(scene.getFlag(MODULE_ID, "heightData"), scene)?.heights?.size ?? 0;
+    if (count === 0) return;
+
+    if (current.isGridless) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.GridRemap.Gridless"));
+      return;
+    }
+
+    const rows = changes.map(({ key, from, to }) =>
+      `<tr><td>${game.i18n.localize(`MAP_HEIGHT.GridRemap.Fields.${key}`)}</td><td>${from}</td><td>${to}</td></tr>`
+    ).join("");
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("MAP_HEIGHT.GridRemap.Title"),
+      content: `
+        <p>${game.i18n.format("MAP_HEIGHT.GridRemap.Content", { count, scene: Handlebars.escapeExpression(scene.name) })}</p>
+        <table>
+          <thead>
+            <tr>
+              <th></th>
+              <th>${game.i18n.localize("MAP_HEIGHT.GridRemap.Before")}</th>
+              <th>${game.i18n.localize("MAP_HEIGHT.GridRemap.After")}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `,
+      yes: () => true,
+      no: () => false,
+      rejectClose: false
+    });
+
+    if (!confirmed) {
+      console.log(`${MODULE_ID} | Kept the grid heights of scene ${scene.name} unchanged`);
+      return;
+    }
+
+    if (isCurrent) {
+      await this.remapGridHeights(previous, current);
+    } else {
+      await this.remapSceneHeights(scene, previous, current);
+    }
+  }
+
+  /**
+   * Resample the grid heights from one geometry into another as one undoable operation
+   * 将网格高度从一种几何重新采样到另一种几何，作为一个可撤销操作
+   * @param {GridCoordinates} previous
+   * @param {GridCoordinates} current
+   */
+  async remapGridHeights(previous, current) {
+    const count = this.gridHeights.size;
+    const heights = this.resampleHeights(new Map(this.gridHeights), previous, { target: current });
+
+    this.beginOperation("remap");
+    this.gridHeights.clear();
+    heights.forEach((height, key) => this.gridHeights.set(key, height));
+    this.gridCache.clear();
+    this.commitOperation();
+
+    const saved = await this.saveHeightData();
+    if (saved) {
+      console.log(`${MODULE_ID} | Resampled ${count} grid heights of scene ${this.scene.name} into ${heights.size} grids`);
+      ui.notifications.info(game.i18n.format("MAP_HEIGHT.GridRemap.Done", { from: count, to: heights.size }));
+      Hooks.callAll(`${MODULE_ID}.gridRemapped`, {
+        scene: this.scene,
+        previous: previous.describe(),
+        current: current.describe(),
+        count: heights.size
+      });
+    }
+
+    return saved;
+  }
+
+  /**
+   * Resample the stored grid heights of a scene that is not on the canvas and write them back to its flags
+   * Only the canvas scene has an undo history, so this is not undoable
+   * 重新采样不在canvas上的场景已存储的网格高度，并写回其标志
+   * 只有canvas上的场景有撤销历史，因此此操作不可撤销
+   * @param {Scene} scene
+   * @param {GridCoordinates} previous
+   * @param {GridCoordinates} current
+   */
+  async remapSceneHeights(scene, previous, current) {
+    const stored = scene.getFlag(MODULE_ID, "heightData");
+    const prepared = this.readImportData(stored, scene);
+    if (!prepared?.heights) return false;
+
+    const heights = this.resampleHeights(prepared.heights, previous, { target: current });
+    const format = this.resolveStorageFormat(heights.size);
+    const { gridHeights, raster, ...rest } = prepared.data;
+    const data = { ...rest, format, version: DATA_VERSION, lastUpdated: Date.now() };
+    if (format === "compact") {
+      data.raster = HeightCodec.encode(heights);
+    } else {
+      data.gridHeights = Object.fromEntries(heights);
+    }
+
+    try {
+      await scene.setFlag(MODULE_ID, "heightData", MigrationManager.buildReplacement(stored, data));
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error saving remapped height data of scene ${scene.name}:`, error);
+      ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Notifications.ErrorSavingData"));
+      return false;
+    }
+
+    console.log(`${MODULE_ID} | Resampled ${prepared.heights.size} grid heights of scene ${scene.name} into ${heights.size} grids`);
+    ui.notifications.info(game.i18n.format("MAP_HEIGHT.GridRemap.Done", { from: prepared.heights.size, to: heights.size }));
+    Hooks.callAll(`${MODULE_ID}.gridRemapped`, {
+      scene,
+      previous: previous.describe(),
+      current: current.describe(),
+      count: heights.size
+    });
+    return true;
+  }
+
   /**
    * Save height data to scene flags
    * 保存高度数据到场景标志
@@ -118,25 +650,153 @@ export default class HeightManager {
       return false;
     }
 
+    // A full save also covers every buffered grid edit
+    // 完整保存同时包含所有缓存的网格编辑
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.dirtyGridKeys.clear();
+
     try {
+      const format = this.resolveStorageFormat();
       const heightData = {
-        gridHeights: Object.fromEntries(this.gridHeights),
-        exceptTokens: Array.from(this.exceptTokens),
+        format,
+        regions: this.regions,
+        exceptions: this.exceptions,
         enabled: this.enabled,
-        version: "1.0.0",
+        version: DATA_VERSION,
         lastUpdated: Date.now()
       };
 
+      const storedData = this.scene.getFlag(MODULE_ID, "heightData") || {};
+      if (format === "compact") {
+        heightData.raster = HeightCodec.encode(this.gridHeights);
+        if (storedData.gridHeights) heightData["-=gridHeights"] = null;
+      } else {
+        // setFlag merges objects, so keys removed in memory must be deleted explicitly
+        // setFlag会合并对象，因此内存中已移除的键必须显式删除
+        const gridHeights = Object.fromEntries(this.gridHeights);
+        for (const key of Object.keys(storedData.gridHeights || {})) {
+          if (!this.gridHeights.has(key)) {
+            gridHeights[`-=${key}`] = null;
+          }
+        }
+        heightData.gridHeights = gridHeights;
+        if (storedData.raster) heightData["-=raster"] = null;
+      }
+
       await this.scene.setFlag(MODULE_ID, "heightData", heightData);
+      this.storedFormat = format;
+      this.settlePendingSave(true);
       return true;
       
     } catch (error) {
       console.error(`${MODULE_ID} | Error saving height data:`, error);
       ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Notifications.ErrorSavingData"));
+      this.settlePendingSave(false);
       return false;
     }
   }
 
+  /**
+   * Pick the storage format for the next save from the storageFormat setting
+   * Small maps stay sparse in "auto" mode so the flags remain readable and diff-friendly
+   * 根据storageFormat设置选择下次保存的存储格式
+   * "自动"模式下小地图保持稀疏格式，使标志保持可读且便于差量更新
+   * @param {number} [count]  Number of grids to store, defaults to the grids in memory
+   */
+  resolveStorageFormat(count = this.gridHeights.size) {
+    const setting = game.settings.get(MODULE_ID, "storageFormat");
+    if (setting === "sparse" || setting === "compact") return setting;
+    return count >= COMPACT_THRESHOLD ? "compact" : "sparse";
+  }
+
+  /**
+   * Mark a grid as changed and schedule a debounced flush
+   * Returns a promise resolving to the result of the flush that persists the change
+   * 将网格标记为已修改并安排防抖写入
+   * 返回在写入完成后解析的Promise
+   */
+  queueGridSave(key) {
+    this.dirtyGridKeys.add(key);
+
+    if (!this.pendingSave) {
+      let resolve;
+      const promise = new Promise(r => resolve = r);
+      this.pendingSave = { promise, resolve };
+    }
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.flushHeightData(), this.saveDelay);
+
+    return this.pendingSave.promise;
+  }
+
+  /**
+   * Persist buffered grid edits as a single diff-based flag update
+   * 以单次差量标志更新写入缓存的网格编辑
+   */
+  async flushHeightData() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const pending = this.pendingSave;
+    this.pendingSave = null;
+
+    if (this.dirtyGridKeys.size === 0) {
+      pending?.resolve(true);
+      return true;
+    }
+
+    // The compact raster cannot be patched per key, so re-encode it (or switch formats) with a full save
+    // 紧凑栅格无法按键局部更新，因此通过完整保存重新编码（或切换格式）
+    if (this.storedFormat !== "sparse" || this.resolveStorageFormat() !== "sparse") {
+      const saved = await this.saveHeightData();
+      pending?.resolve(saved);
+      return saved;
+    }
+
+    const scene = this.scene;
+    const keys = Array.from(this.dirtyGridKeys);
+    this.dirtyGridKeys.clear();
+
+    // Only touch the changed keys: "gridHeights.x,y" to set, "gridHeights.-=x,y" to delete
+    // 只更新变化的键："gridHeights.x,y" 设置，"gridHeights.-=x,y" 删除
+    const path = `flags.${MODULE_ID}.heightData`;
+    const update = {
+      [`${path}.version`]: DATA_VERSION,
+      [`${path}.lastUpdated`]: Date.now()
+    };
+    for (const key of keys) {
+      if (this.gridHeights.has(key)) {
+        update[`${path}.gridHeights.${key}`] = this.gridHeights.get(key);
+      } else {
+        update[`${path}.gridHeights.-=${key}`] = null;
+      }
+    }
+
+    let saved = false;
+    try {
+      await scene.update(update);
+      saved = true;
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error saving height data:`, error);
+      ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Notifications.ErrorSavingData"));
+    }
+
+    pending?.resolve(saved);
+    return saved;
+  }
+
+  /**
+   * Resolve callers waiting on a buffered save that a full save has covered
+   * 解析正在等待已被完整保存覆盖的缓存写入的调用者
+   */
+  settlePendingSave(saved) {
+    const pending = this.pendingSave;
+    this.pendingSave = null;
+    pending?.resolve(saved);
+  }
+
   /**
    * Get height for a specific grid coordinate
    * 获取特定网格坐标的高度
@@ -171,327 +831,984 @@ export default class HeightManager {
       return true; // No change needed
     }
 
+    this.beginOperation("paint");
     this.gridHeights.set(key, height);
+    this.commitOperation();
     
     // Clear cache for this grid
     this.gridCache.delete(key);
     
-    // Save to scene flags
+    // Trigger update event immediately, persistence is batched
+    // 立即触发更新事件，持久化批量进行
+    Hooks.callAll(`${MODULE_ID}.gridHeightChanged`, {
+      gridX, gridY, height, oldHeight, key
+    });
+    
+    // Buffer the change; it is saved with the rest of the stroke
+    // 缓存此变化，与笔画的其余部分一起保存
+    return this.queueGridSave(key);
+  }
+
+  /**
+   * Get token's current grid position
+   * 获取Token当前的网格位置
+   */
+  getTokenGridPosition(token) {
+    if (!token || !canvas.grid) {
+      console.warn(`${MODULE_ID} | Cannot get grid position: token or grid not available`);
+      return null;
+    }
+    
+    try {
+      const tokenDoc = token.document || token;
+
+      // Hex grids: the token is anchored on the cell under its center
+      // 六边形网格：Token以其中心所在的格子为锚点
+      if (this.isHex) {
+        const center = this.getTokenCenter(tokenDoc);
+        const grid = this.getGridFromPoint(center.x, center.y);
+        return {
+          i: grid.x,
+          j: grid.y,
+          x: tokenDoc.x,
+          y: tokenDoc.y
+        };
+      }
+
+      // Square grids: the token is anchored on the cell under the center of its top-left cell,
+      // so positions between cells (unsnapped tokens) round to the nearest cell
+      // 方形网格：Token以其左上格子中心所在的格子为锚点，使位于格子之间的位置（未吸附的Token）取最近的格子
+      const grid = this.getGridFromPoint(tokenDoc.x + this.gridSize / 2, tokenDoc.y + this.gridSize / 2);
+      return {
+        i: grid.x,
+        j: grid.y,
+        x: tokenDoc.x,
+        y: tokenDoc.y
+      };
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error getting token grid position:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all grid coordinates covered by a token
+   * 获取Token覆盖的所有网格坐标
+   */
+  getTokenGridCoverage(token) {
+    const tokenDoc = token.document || token;
+    const position = this.getTokenGridPosition(token);
+    if (!position) return [];
+
+    if (this.isHex) {
+      return this.getHexTokenFootprint(tokenDoc);
+    }
+
+    const width = tokenDoc.width || 1;
+    const height = tokenDoc.height || 1;
+    const coverage = [];
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        coverage.push({
+          i: position.i + x,
+          j: position.j + y
+        });
+      }
+    }
+
+    return coverage;
+  }
+
+  /**
+   * Get the canvas center of a token
+   * 获取Token在canvas中的中心点
+   */
+  getTokenCenter(tokenDoc) {
+    const width = (tokenDoc.width || 1) * (this.coordinates.grid.sizeX || this.gridSize);
+    const height = (tokenDoc.height || 1) * (this.coordinates.grid.sizeY || this.gridSize);
+    return {
+      x: tokenDoc.x + width / 2,
+      y: tokenDoc.y + height / 2
+    };
+  }
+
+  /**
+   * Get the hex grids covered by a token
+   * Odd sizes grow rings around the center hex (1 -> 1, 3 -> 7 hexes),
+   * even sizes grow rings around the three hexes meeting at the center vertex (2 -> 3, 4 -> 12 hexes)
+   * 获取Token在六边形网格上覆盖的格子
+   * 奇数尺寸以中心格为核心向外扩展，偶数尺寸以中心顶点处的三个格子为核心向外扩展
+   */
+  getHexTokenFootprint(tokenDoc) {
+    const size = Math.max(1, Math.round(Math.max(tokenDoc.width || 1, tokenDoc.height || 1)));
+    const center = this.getTokenCenter(tokenDoc);
+    const centerGrid = this.getGridFromPoint(center.x, center.y);
+
+    let seeds;
+    let rings;
+    if (size % 2 === 1) {
+      seeds = [centerGrid];
+      rings = (size - 1) / 2;
+    } else {
+      // The three hexes whose centers are closest to the token center share its vertex
+      // 中心距离Token中心最近的三个格子共享该顶点
+      const distance = (grid) => {
+        const c = this.getGridCenter(grid.x, grid.y);
+        return Math.hypot(c.x - center.x, c.y - center.y);
+      };
+      seeds = [centerGrid, ...this.getGridNeighbors(centerGrid.x, centerGrid.y)]
+        .sort((a, b) => distance(a) - distance(b))
+        .slice(0, 3);
+      rings = (size - 2) / 2;
+    }
+
+    const footprint = new Map(seeds.map(g => [this.getGridKey(g.x, g.y), g]));
+    let frontier = seeds;
+    for (let ring = 0; ring < rings; ring++) {
+      const next = [];
+      for (const grid of frontier) {
+        for (const neighbor of this.getGridNeighbors(grid.x, grid.y)) {
+          const key = this.getGridKey(neighbor.x, neighbor.y);
+          if (!footprint.has(key)) {
+            footprint.set(key, neighbor);
+            next.push(neighbor);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return Array.from(footprint.values()).map(g => ({ i: g.x, j: g.y }));
+  }
+
+  /**
+   * Get the ground height for a token's current position (handles multi-grid tokens)
+   * Heights under the footprint are combined with the token's aggregation mode
+   * 获取Token当前位置的地面高度（处理多网格Token）
+   * 占据范围内的高度按Token的合并方式计算
+   */
+  getTokenHeight(token) {
+    const tokenDoc = token.document || token;
+    if (this.isGridless) {
+      return this.getTokenRegionHeight(tokenDoc);
+    }
+
+    const coverage = this.getTokenGridCoverage(tokenDoc);
+    if (coverage.length === 0) return 0;
+
+    const mode = this.getTokenAggregation(tokenDoc);
+    if (mode === "center") {
+      const center = this.getTokenCenter(tokenDoc);
+      const grid = this.getGridFromPoint(center.x, center.y);
+      return this.getGridHeight(grid.x, grid.y);
+    }
+
+    // Get heights for all grids the token occupies
+    // 获取Token占据的所有网格的高度
+    const heights = coverage.map(pos => this.getGridHeight(pos.i, pos.j));
+    return this.aggregateHeights(heights, mode);
+  }
+
+  /**
+   * Get the aggregation mode for a token - its own flag, else the world setting
+   * Temporary token data (e.g. a pending destination) falls back to the scene's token document
+   * 获取Token的高度合并方式 - 优先使用Token标志，否则使用世界设置
+   * 临时Token数据（例如待定的目标位置）回退到场景中的Token文档
+   */
+  getTokenAggregation(token) {
+    const tokenDoc = token.document || token;
+    const source = typeof tokenDoc.getFlag === "function" ? tokenDoc : this.scene?.tokens.get(tokenDoc.id);
+    const override = source?.getFlag(MODULE_ID, "heightAggregation");
+    if (HeightManager.AGGREGATION_MODES.includes(override)) {
+      return override;
+    }
+    return game.settings.get(MODULE_ID, "heightAggregation");
+  }
+
+  /**
+   * Combine several heights into one
+   * "center" is resolved by the caller, here it takes the first height
+   * 将多个高度合并为一个
+   * "center" 由调用方处理，此处取第一个高度
+   */
+  aggregateHeights(heights, mode) {
+    if (heights.length === 0) return 0;
+
+    switch (mode) {
+      case "min":
+        return heights.reduce((a, b) => Math.min(a, b));
+      case "center":
+        return heights[0];
+      case "mean":
+        return heights.reduce((a, b) => a + b, 0) / heights.length;
+      case "majority": {
+        // Most common height, ties go to the higher one
+        // 出现次数最多的高度，次数相同时取较高者
+        const counts = new Map();
+        heights.forEach(height => counts.set(height, (counts.get(height) || 0) + 1));
+        let best = heights[0];
+        counts.forEach((count, height) => {
+          const bestCount = counts.get(best);
+          if (count > bestCount || (count === bestCount && height > best)) {
+            best = height;
+          }
+        });
+        return best;
+      }
+      case "max":
+      default:
+        return heights.reduce((a, b) => Math.max(a, b));
+    }
+  }
+
+  /**
+   * Get the world-level exceptions
+   * 获取世界级例外
+   */
+  getWorldExceptions() {
+    const exceptions = game.settings.get(MODULE_ID, "worldExceptions");
+    return Array.isArray(exceptions) ? exceptions.filter(exception => this.validateException(exception)) : [];
+  }
+
+  /**
+   * Get the exception list for a level
+   * 获取指定级别的例外列表
+   * @param {string} level  "scene" or "world"
+   */
+  getExceptions(level) {
+    return level === "world" ? this.getWorldExceptions() : this.exceptions;
+  }
+
+  /**
+   * Get the key an exception scope uses for a token
+   * 获取例外范围用于Token的键
+   * @returns {string[]}  Matching ids (a folder scope also matches parent folders)
+   */
+  getTokenExceptionKeys(tokenDoc, scope) {
+    switch (scope) {
+      case "token":
+        return tokenDoc.id ? [tokenDoc.id] : [];
+      case "actor":
+        return tokenDoc.actorId ? [tokenDoc.actorId] : [];
+      case "folder": {
+        const folder = tokenDoc.actor?.folder;
+        if (!folder) return [];
+        return [folder.id, ...(folder.ancestors || []).map(ancestor => ancestor.id)];
+      }
+      case "disposition":
+        return tokenDoc.disposition !== undefined ? [String(tokenDoc.disposition)] : [];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Find the exception that applies to a token, scene exceptions first
+   * 查找适用于Token的例外，优先场景例外
+   * @param {TokenDocument|string} token  Token document or token id on the current scene
+   * @returns {object|null}  { scope, id, level }
+   */
+  getTokenException(token) {
+    const tokenDoc = typeof token === "string" ? this.scene?.tokens.get(token) : (token?.document || token);
+    if (!tokenDoc) return null;
+
+    for (const level of ["scene", "world"]) {
+      for (const exception of this.getExceptions(level)) {
+        if (this.getTokenExceptionKeys(tokenDoc, exception.scope).includes(exception.id)) {
+          return { ...exception, level };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if token is in exception list (flying units)
+   * 检查Token是否在例外列表中（飞行单位）
+   */
+  isExceptionToken(token) {
+    return this.getTokenException(token) !== null;
+  }
+
+  /**
+   * Add an exception
+   * 添加例外
+   * @param {string} scope  One of EXCEPTION_SCOPES
+   * @param {string} id     Token, actor or folder id, or a token disposition
+   * @param {string} level  "scene" (stored in the scene flags) or "world" (stored in a world setting)
+   */
+  async addException(scope, id, level = "scene") {
+    const exception = { scope, id: String(id ?? "") };
+    if (!this.validateException(exception)) return false;
+
+    const exceptions = this.getExceptions(level);
+    if (exceptions.some(e => e.scope === exception.scope && e.id === exception.id)) return true;
+
+    const saved = await this.saveExceptions(level, [...exceptions, exception]);
+    if (saved) {
+      Hooks.callAll(`${MODULE_ID}.tokenExceptionAdded`, { ...exception, level });
+    }
+    return saved;
+  }
+
+  /**
+   * Remove an exception
+   * 移除例外
+   */
+  async removeException(scope, id, level = "scene") {
+    const exceptions = this.getExceptions(level);
+    const remaining = exceptions.filter(e => !(e.scope === scope && e.id === String(id)));
+    if (remaining.length === exceptions.length) return false;
+
+    const saved = await this.saveExceptions(level, remaining);
+    if (saved) {
+      Hooks.callAll(`${MODULE_ID}.tokenExceptionRemoved`, { scope, id: String(id), level });
+    }
+    return saved;
+  }
+
+  /**
+   * Persist an exception list
+   * 保存例外列表
+   */
+  async saveExceptions(level, exceptions) {
+    if (level === "world") {
+      try {
+        await game.settings.set(MODULE_ID, "worldExceptions", exceptions);
+        return true;
+      } catch (error) {
+        console.error(`${MODULE_ID} | Error saving world exceptions:`, error);
+        ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Notifications.ErrorSavingData"));
+        return false;
+      }
+    }
+
+    this.exceptions = exceptions;
+    return this.saveHeightData();
+  }
+
+  /**
+   * Add token to exception list
+   * 将Token添加到例外列表
+   */
+  async addTokenException(tokenId) {
+    if (!tokenId) return false;
+    return this.addException("token", tokenId);
+  }
+
+  /**
+   * Remove token from exception list
+   * 从例外列表中移除Token
+   */
+  async removeTokenException(tokenId) {
+    if (!tokenId) return false;
+    return this.removeException("token", tokenId);
+  }
+
+  /**
+   * Toggle token exception status
+   * 切换Token的例外状态
+   */
+  async toggleTokenException(tokenId) {
+    if (this.exceptions.some(exception => exception.scope === "token" && exception.id === tokenId)) {
+      return await this.removeTokenException(tokenId);
+    } else {
+      return await this.addTokenException(tokenId);
+    }
+  }
+
+  /**
+   * Get all grid heights in a specific area
+   * 获取特定区域内的所有网格高度
+   */
+  getAreaHeights(startX, startY, endX, endY) {
+    const heights = new Map();
+    
+    const minX = Math.min(startX, endX);
+    const maxX = Math.max(startX, endX);
+    const minY = Math.min(startY, endY);
+    const maxY = Math.max(startY, endY);
+    
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const key = this.getGridKey(x, y);
+        const height = this.gridHeights.get(key) || 0;
+        heights.set(key, height);
+      }
+    }
+    
+    return heights;
+  }
+
+  /**
+   * Set heights for multiple grids
+   * 为多个网格设置高度
+   */
+  async setAreaHeights(gridPositions, height) {
+    if (!Array.isArray(gridPositions) || gridPositions.length === 0) {
+      return false;
+    }
+
+    let changesMade = false;
+    
+    this.beginOperation("area");
+    for (const pos of gridPositions) {
+      const { x, y } = pos;
+      if (this.validateGridCoordinates(x, y)) {
+        const key = this.getGridKey(x, y);
+        const oldHeight = this.gridHeights.get(key) || 0;
+        
+        if (oldHeight !== height) {
+          this.gridHeights.set(key, height);
+          this.gridCache.delete(key);
+          this.dirtyGridKeys.add(key);
+          changesMade = true;
+        }
+      }
+    }
+    this.commitOperation();
+    
+    if (changesMade) {
+      Hooks.callAll(`${MODULE_ID}.areaHeightChanged`, { gridPositions, height });
+      return await this.flushHeightData();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get the grids whose center lies inside a canvas shape
+   * 获取中心点位于canvas形状内的网格
+   * @param {PIXI.Polygon|PIXI.Ellipse} shape  Shape in canvas coordinates
+   * @returns {{x: number, y: number}[]}
+   */
+  getGridsInShape(shape) {
+    let left, top, right, bottom;
+    if (shape instanceof PIXI.Ellipse) {
+      left = shape.x - shape.width;
+      right = shape.x + shape.width;
+      top = shape.y - shape.height;
+      bottom = shape.y + shape.height;
+    } else {
+      const xs = shape.points.filter((_, index) => index % 2 === 0);
+      const ys = shape.points.filter((_, index) => index % 2 === 1);
+      left = Math.min(...xs);
+      right = Math.max(...xs);
+      top = Math.min(...ys);
+      bottom = Math.max(...ys);
+    }
+
+    // Hex offsets are not monotonic across a row, so widen the search by one grid
+    // 六边形偏移在一行内并非单调，因此搜索范围扩大一格
+    const pad = this.isHex ? 1 : 0;
+    const topLeft = this.getGridFromPoint(left, top);
+    const bottomRight = this.getGridFromPoint(right, bottom);
+    const canvasBounds = this.getCanvasGridBounds();
+    const grids = [];
+
+    for (let x = Math.max(canvasBounds.left, topLeft.x - pad); x <= Math.min(canvasBounds.right, bottomRight.x + pad); x++) {
+      for (let y = Math.max(canvasBounds.top, topLeft.y - pad); y <= Math.min(canvasBounds.bottom, bottomRight.y + pad); y++) {
+        const center = this.getGridCenter(x, y);
+        if (shape.contains(center.x, center.y)) {
+          grids.push({ x, y });
+        }
+      }
+    }
+
+    return grids;
+  }
+
+  /**
+   * Interpolate heights over the rectangle between two grids
+   * Heights change along the axis with the larger extent, from the start grid towards the end grid.
+   * 在两个网格之间的矩形内插值计算高度
+   * 高度沿跨度较大的轴从起点网格向终点网格变化
+   * @param {{x: number, y: number, height: number}} start
+   * @param {{x: number, y: number, height: number}} end
+   * @param {number} [step=1]  Heights are rounded to multiples of step (0 keeps one decimal)
+   * @returns {{x: number, y: number, height: number}[]}
+   */
+  getGradientHeights(start, end, step = 1) {
+    const horizontal = Math.abs(end.x - start.x) >= Math.abs(end.y - start.y);
+    const from = horizontal ? start.x : start.y;
+    const span = (horizontal ? end.x : end.y) - from;
+    const round = step > 0
+      ? value => Math.round(value / step) * step
+      : value => Math.round(value * 10) / 10;
+
+    const entries = [];
+    for (let x = Math.min(start.x, end.x); x <= Math.max(start.x, end.x); x++) {
+      for (let y = Math.min(start.y, end.y); y <= Math.max(start.y, end.y); y++) {
+        const t = span === 0 ? 0 : ((horizontal ? x : y) - from) / span;
+        entries.push({ x, y, height: round(start.height + (end.height - start.height) * t) });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Set individual heights for multiple grids as one operation and one flag update
+   * 将多个网格分别设为各自的高度，作为一个操作和一次标志更新
+   * @param {{x: number, y: number, height: number}[]} entries
+   */
+  async setGridHeights(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return false;
+    }
+
+    const gridPositions = [];
+
+    this.beginOperation("area");
+    for (const { x, y, height } of entries) {
+      if (!this.validateGridCoordinates(x, y) || !this.validateHeight(height)) continue;
+
+      const key = this.getGridKey(x, y);
+      if ((this.gridHeights.get(key) || 0) === height) continue;
+
+      this.gridHeights.set(key, height);
+      this.gridCache.delete(key);
+      this.dirtyGridKeys.add(key);
+      gridPositions.push({ x, y });
+    }
+    this.commitOperation();
+
+    if (gridPositions.length > 0) {
+      Hooks.callAll(`${MODULE_ID}.areaHeightChanged`, { gridPositions, height: null });
+      return await this.flushHeightData();
+    }
+
+    return true;
+  }
+
+  /**
+   * Compare new heights with the stored ones
+   * 将新高度与已存储的高度比较
+   * @param {Map<string, number>} heights  New heights keyed by grid key
+   * @param {object} [options]
+   * @param {boolean} [options.replace=false]  Grids missing from `heights` are reset to 0
+   * @returns {{x: number, y: number, height: number, oldHeight: number}[]}  Changed grids only
+   */
+  getHeightChanges(heights, { replace = false } = {}) {
+    const changes = [];
+    const keys = replace ? new Set([...heights.keys(), ...this.gridHeights.keys()]) : heights.keys();
+
+    for (const key of keys) {
+      const oldHeight = this.gridHeights.get(key) || 0;
+      const height = heights.get(key) ?? 0;
+      if (height === oldHeight) continue;
+
+      const grid = this.parseGridKey(key);
+      if (grid) changes.push({ ...grid, height, oldHeight });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Get the height at a canvas point
+   * Gridless scenes read freeform regions, gridded scenes read the grid under the point
+   * 获取canvas坐标点处的高度
+   */
+  getHeightAtPoint(x, y) {
+    if (this.isGridless) {
+      return this.getRegionHeightAt(x, y);
+    }
+
+    const grid = this.getGridFromPoint(x, y);
+    return this.getGridHeight(grid.x, grid.y);
+  }
+
+  /**
+   * Get the topmost region containing a canvas point
+   * 获取包含canvas坐标点的最上层区域
+   */
+  getRegionAtPoint(x, y) {
+    // Later regions are drawn on top, so search from the end
+    // 后添加的区域位于上层，因此从末尾开始查找
+    for (let index = this.regions.length - 1; index >= 0; index--) {
+      if (this.regionContainsPoint(this.regions[index], x, y)) {
+        return this.regions[index];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the height of the topmost region at a canvas point (0 outside all regions)
+   * 获取canvas坐标点处最上层区域的高度（不在任何区域内时为0）
+   */
+  getRegionHeightAt(x, y) {
+    return this.getRegionAtPoint(x, y)?.height || 0;
+  }
+
+  /**
+   * Check if a region contains a canvas point
+   * 检查区域是否包含canvas坐标点
+   */
+  regionContainsPoint(region, x, y) {
+    const localX = x - this.sceneOriginX;
+    const localY = y - this.sceneOriginY;
+
+    if (region.shape === "circle") {
+      return Math.hypot(localX - region.x, localY - region.y) <= region.radius;
+    }
+
+    return new PIXI.Polygon(region.points).contains(localX, localY);
+  }
+
+  /**
+   * Get a region's outline in canvas coordinates
+   * 获取区域在canvas坐标系中的轮廓
+   */
+  getRegionCanvasShape(region) {
+    if (region.shape === "circle") {
+      return {
+        shape: "circle",
+        x: region.x + this.sceneOriginX,
+        y: region.y + this.sceneOriginY,
+        radius: region.radius
+      };
+    }
+
+    return {
+      shape: "polygon",
+      points: region.points.map((value, index) => value + (index % 2 === 0 ? this.sceneOriginX : this.sceneOriginY))
+    };
+  }
+
+  /**
+   * Get the label anchor of a region in canvas coordinates
+   * 获取区域标签在canvas坐标系中的锚点
+   */
+  getRegionCenter(region) {
+    if (region.shape === "circle") {
+      return { x: region.x + this.sceneOriginX, y: region.y + this.sceneOriginY };
+    }
+
+    const count = region.points.length / 2;
+    let sumX = 0;
+    let sumY = 0;
+    for (let index = 0; index < region.points.length; index += 2) {
+      sumX += region.points[index];
+      sumY += region.points[index + 1];
+    }
+    return { x: sumX / count + this.sceneOriginX, y: sumY / count + this.sceneOriginY };
+  }
+
+  /**
+   * Add a freeform region from canvas coordinates
+   * 从canvas坐标添加自由形状区域
+   * @param {object} data  {shape: "polygon", points: [{x, y}...]} or {shape: "circle", x, y, radius}, plus height
+   */
+  async addRegion(data) {
+    const region = { id: foundry.utils.randomID(), shape: data.shape, height: data.height };
+
+    if (data.shape === "circle") {
+      region.x = data.x - this.sceneOriginX;
+      region.y = data.y - this.sceneOriginY;
+      region.radius = data.radius;
+    } else {
+      region.points = data.points.flatMap(p => [p.x - this.sceneOriginX, p.y - this.sceneOriginY]);
+    }
+
+    if (!this.validateRegion(region)) {
+      console.warn(`${MODULE_ID} | Invalid region:`, data);
+      return null;
+    }
+
+    this.beginOperation("region");
+    this.regions.push(region);
+    this.commitOperation();
+    const saved = await this.saveHeightData();
+
+    if (saved) {
+      Hooks.callAll(`${MODULE_ID}.regionChanged`, { action: "create", region });
+    }
+
+    return saved ? region : null;
+  }
+
+  /**
+   * Set the height of a region
+   * 设置区域的高度
+   */
+  async setRegionHeight(regionId, height) {
+    const region = this.regions.find(r => r.id === regionId);
+    if (!region) return false;
+
+    if (!this.validateHeight(height)) {
+      console.warn(`${MODULE_ID} | Invalid height value: ${height}`);
+      return false;
+    }
+
+    if (region.height === height) return true;
+
+    const oldHeight = region.height;
+    this.beginOperation("region");
+    region.height = height;
+    this.commitOperation();
     const saved = await this.saveHeightData();
-    
+
     if (saved) {
-      
-      // Trigger update event
-      Hooks.callAll(`${MODULE_ID}.gridHeightChanged`, {
-        gridX, gridY, height, oldHeight, key
-      });
+      Hooks.callAll(`${MODULE_ID}.regionChanged`, { action: "update", region, oldHeight });
     }
-    
+
     return saved;
   }
 
   /**
-   * Get token's current grid position
-   * 获取Token当前的网格位置
+   * Remove a region
+   * 移除区域
    */
-  getTokenGridPosition(token) {
-    if (!token || !canvas.grid) {
-      console.warn(`${MODULE_ID} | Cannot get grid position: token or grid not available`);
-      return null;
-    }
-    
-    try {
-      const tokenDoc = token.document || token;
-      
-      // Get grid size and scene info for debugging
-      const gridSize = canvas.grid.size;
-      const sceneWidth = canvas.scene.width;
-      const sceneHeight = canvas.scene.height;
-      const gridType = canvas.grid.type;
-      
-      
-      let gridCoords;
-      
-      // Use multiple methods and compare results for accuracy
-      let v12Result = null;
-      let offsetResult = null;
-      let manualResult = null;
-      
-      // Method 1: Try v12+ getTopLeftPoint
-      if (canvas.grid.getTopLeftPoint) {
-        try {
-          const topLeft = canvas.grid.getTopLeftPoint({x: tokenDoc.x, y: tokenDoc.y});
-          const gridX = Math.floor(topLeft.x / gridSize);
-          const gridY = Math.floor(topLeft.y / gridSize);
-          v12Result = { i: gridX, j: gridY };
-        } catch (error) {
-          console.warn(`${MODULE_ID} | v12 getTopLeftPoint failed:`, error);
-        }
-      }
-      
-      // Method 2: Try legacy getOffset
-      if (canvas.grid.getOffset) {
-        try {
-          const offset = canvas.grid.getOffset({x: tokenDoc.x, y: tokenDoc.y});
-          offsetResult = { i: offset.i, j: offset.j };
-        } catch (error) {
-          console.warn(`${MODULE_ID} | getOffset failed:`, error);
-        }
-      }
-      
-      // Method 3: Manual calculation (always works)
-      // Use same formula as height-overlay.js for consistency
-      manualResult = {
-        i: Math.floor((tokenDoc.x - this.gridOffsetX) / this.gridSize),
-        j: Math.floor((tokenDoc.y - this.gridOffsetY) / this.gridSize)
-      };
-      
-      // Choose the most reliable result
-      if (v12Result && offsetResult && manualResult) {
-        // Compare all three methods
-        const v12Manual = (Math.abs(v12Result.i - manualResult.i) <= 1 && Math.abs(v12Result.j - manualResult.j) <= 1);
-        const offsetManual = (Math.abs(offsetResult.i - manualResult.i) <= 1 && Math.abs(offsetResult.j - manualResult.j) <= 1);
-        const offsetSwapped = (Math.abs(offsetResult.i - manualResult.j) <= 1 && Math.abs(offsetResult.j - manualResult.i) <= 1);
-        
-        if (v12Manual && offsetManual) {
-          gridCoords = v12Result;
-        } else if (v12Manual) {
-          console.log(`${MODULE_ID} | v12 and manual agree, using v12 result`);
-          gridCoords = v12Result;
-        } else if (offsetManual) {
-          gridCoords = offsetResult;
-        } else if (offsetSwapped) {
-          gridCoords = { i: offsetResult.j, j: offsetResult.i };
-        } else {
-          console.warn(`${MODULE_ID} | Methods disagree, using manual calculation`);
-          gridCoords = manualResult;
-        }
-      } else if (v12Result && manualResult) {
-        // Only v12 and manual available
-        if (Math.abs(v12Result.i - manualResult.i) <= 1 && Math.abs(v12Result.j - manualResult.j) <= 1) {
-          console.log(`${MODULE_ID} | v12 and manual agree, using v12 result`);
-          gridCoords = v12Result;
-        } else {
-          console.warn(`${MODULE_ID} | v12 and manual disagree, using manual`);
-          gridCoords = manualResult;
-        }
-      } else if (offsetResult && manualResult) {
-        // Only offset and manual available
-        if (Math.abs(offsetResult.i - manualResult.i) <= 1 && Math.abs(offsetResult.j - manualResult.j) <= 1) {
-          gridCoords = offsetResult;
-        } else if (Math.abs(offsetResult.i - manualResult.j) <= 1 && Math.abs(offsetResult.j - manualResult.i) <= 1) {
-          gridCoords = { i: offsetResult.j, j: offsetResult.i };
-        } else {
-          console.warn(`${MODULE_ID} | offset unreliable, using manual`);
-          gridCoords = manualResult;
-        }
-      } else {
-        // Only manual available
-        gridCoords = manualResult;
-      }
-      
-      // Final validation and clamping
-      if (gridCoords.i < 0 || gridCoords.j < 0) {
-        console.warn(`${MODULE_ID} | Negative grid coordinates detected, clamping to 0`);
-        gridCoords.i = Math.max(0, gridCoords.i);
-        gridCoords.j = Math.max(0, gridCoords.j);
-      }
-      
-      // Calculate total grid bounds including padding
-      const padding = canvas.scene.padding || 0;
-      const paddingGridsWidthPerSide = Math.ceil((sceneWidth * padding) / this.gridSize);
-      const paddingGridsHeightPerSide = Math.ceil((sceneHeight * padding) / this.gridSize);
-      const paddingWidthPerSide = paddingGridsWidthPerSide * this.gridSize;
-      const paddingHeightPerSide = paddingGridsHeightPerSide * this.gridSize;
-      const totalWidth = sceneWidth + 2 * paddingWidthPerSide;
-      const totalHeight = sceneHeight + 2 * paddingHeightPerSide;
-      
-      const maxGridX = Math.ceil(totalWidth / this.gridSize) - 1;
-      const maxGridY = Math.ceil(totalHeight / this.gridSize) - 1;
-      
-      if (gridCoords.i > maxGridX || gridCoords.j > maxGridY) {
-        console.warn(`${MODULE_ID} | Grid coordinates exceed canvas bounds (including padding), clamping`);
-        gridCoords.i = Math.min(gridCoords.i, maxGridX);
-        gridCoords.j = Math.min(gridCoords.j, maxGridY);
-      }
-      
-      
-      return {
-        i: gridCoords.i,
-        j: gridCoords.j,
-        x: tokenDoc.x,
-        y: tokenDoc.y
-      };
-    } catch (error) {
-      console.error(`${MODULE_ID} | Error getting token grid position:`, error);
-      return null;
+  async removeRegion(regionId) {
+    const index = this.regions.findIndex(r => r.id === regionId);
+    if (index === -1) return false;
+
+    this.beginOperation("region");
+    const [region] = this.regions.splice(index, 1);
+    this.commitOperation();
+    const saved = await this.saveHeightData();
+
+    if (saved) {
+      Hooks.callAll(`${MODULE_ID}.regionChanged`, { action: "delete", region });
     }
+
+    return saved;
   }
 
   /**
-   * Get all grid coordinates covered by a token
-   * 获取Token覆盖的所有网格坐标
+   * Get a gridless token's height by sampling the regions under it
+   * Samples the token center, or the center plus eight footprint points when configured
+   * 通过采样Token下方的区域获取无网格Token的高度
    */
-  getTokenGridCoverage(token) {
+  getTokenRegionHeight(token) {
     const tokenDoc = token.document || token;
-    const position = this.getTokenGridPosition(token);
-    if (!position) return [];
-
-    const width = tokenDoc.width || 1;
-    const height = tokenDoc.height || 1;
-    const coverage = [];
+    const center = this.getTokenCenter(tokenDoc);
+    const points = [center];
 
-    for (let x = 0; x < width; x++) {
-      for (let y = 0; y < height; y++) {
-        coverage.push({
-          i: position.i + x,
-          j: position.j + y
+    if (game.settings.get(MODULE_ID, "gridlessSampling") === "footprint") {
+      // Sample an ellipse inset to 80% of the token bounds
+      // 在Token边界80%处的椭圆上采样
+      const radiusX = (tokenDoc.width || 1) * this.gridSize * 0.4;
+      const radiusY = (tokenDoc.height || 1) * this.gridSize * 0.4;
+      for (let step = 0; step < 8; step++) {
+        const angle = (Math.PI / 4) * step;
+        points.push({
+          x: center.x + Math.cos(angle) * radiusX,
+          y: center.y + Math.sin(angle) * radiusY
         });
       }
     }
 
-    return coverage;
+    // The center point comes first, so "center" aggregation samples it
+    // 中心点位于首位，因此 "center" 合并方式取该点
+    const heights = points.map(p => this.getRegionHeightAt(p.x, p.y));
+    return this.aggregateHeights(heights, this.getTokenAggregation(tokenDoc));
   }
 
   /**
-   * Get maximum height for token's current position (handles multi-grid tokens)
-   * 获取Token当前位置的最大高度（处理多网格Token）
+   * Validate a stored exception
+   * 验证存储的例外
    */
-  getTokenHeight(token) {
-    const coverage = this.getTokenGridCoverage(token);
-    if (coverage.length === 0) return 0;
+  validateException(exception) {
+    return !!exception
+      && HeightManager.EXCEPTION_SCOPES.includes(exception.scope)
+      && typeof exception.id === 'string'
+      && exception.id.length > 0;
+  }
 
-    // Get heights for all grids the token occupies
-    // 获取Token占据的所有网格的高度
-    const heights = coverage.map(pos => this.getGridHeight(pos.i, pos.j));
+  /**
+   * Validate a stored region
+   * 验证存储的区域
+   */
+  validateRegion(region) {
+    if (!region || !this.validateHeight(region.height)) return false;
 
-    // Return the maximum height
-    // 返回最大高度
-    return Math.max(...heights);
+    const finite = (value) => typeof value === 'number' && isFinite(value);
+
+    if (region.shape === "circle") {
+      return finite(region.x) && finite(region.y) && finite(region.radius) && region.radius > 0;
+    }
+
+    return (
+      region.shape === "polygon" &&
+      Array.isArray(region.points) &&
+      region.points.length >= 6 &&
+      region.points.length % 2 === 0 &&
+      region.points.every(finite)
+    );
   }
 
   /**
-   * Check if token is in exception list (flying units)
-   * 检查Token是否在例外列表中（飞行单位）
+   * Reset all height data
+   * 重置所有高度数据
    */
-  isExceptionToken(tokenId) {
-    return this.exceptTokens.has(tokenId);
+  resetData() {
+    this.gridHeights.clear();
+    this.regions = [];
+    this.exceptions = [];
+    this.enabled = true;
+    this.gridCache.clear();
   }
 
   /**
-   * Add token to exception list
-   * 将Token添加到例外列表
+   * Clear all height data for the scene as a single undoable operation
+   * 将清除场景所有高度数据作为单个可撤销操作
    */
-  async addTokenException(tokenId) {
-    if (!tokenId) return false;
-    
-    this.exceptTokens.add(tokenId);
+  async clearAllData() {
+    this.beginOperation("clear");
+    this.resetData();
+    this.commitOperation();
+
     const saved = await this.saveHeightData();
-    
     if (saved) {
-      Hooks.callAll(`${MODULE_ID}.tokenExceptionAdded`, tokenId);
+      Hooks.callAll(`${MODULE_ID}.dataCleared`, this.scene);
     }
-    
+
     return saved;
   }
 
   /**
-   * Remove token from exception list
-   * 从例外列表中移除Token
+   * Start recording an atomic operation for undo/redo
+   * Calls may be nested; only the outermost operation is recorded
+   * 开始记录用于撤销/重做的原子操作
+   * 可以嵌套调用，只记录最外层的操作
    */
-  async removeTokenException(tokenId) {
-    if (!tokenId || !this.exceptTokens.has(tokenId)) return false;
-    
-    this.exceptTokens.delete(tokenId);
-    const saved = await this.saveHeightData();
-    
-    if (saved) {
-      Hooks.callAll(`${MODULE_ID}.tokenExceptionRemoved`, tokenId);
+  beginOperation(label) {
+    if (this.currentOperation) {
+      this.currentOperation.depth++;
+      return;
     }
-    
-    return saved;
+
+    this.currentOperation = {
+      label,
+      depth: 1,
+      snapshot: this.captureState()
+    };
   }
 
   /**
-   * Toggle token exception status
-   * 切换Token的例外状态
+   * Finish the current operation and publish its changes
+   * 结束当前操作并发布其变化
    */
-  async toggleTokenException(tokenId) {
-    if (this.isExceptionToken(tokenId)) {
-      return await this.removeTokenException(tokenId);
-    } else {
-      return await this.addTokenException(tokenId);
+  commitOperation() {
+    const operation = this.currentOperation;
+    if (!operation) return null;
+
+    operation.depth--;
+    if (operation.depth > 0) return null;
+
+    this.currentOperation = null;
+    const record = this.diffState(operation.snapshot, operation.label);
+
+    if (record) {
+      Hooks.callAll(`${MODULE_ID}.operationRecorded`, record);
     }
+
+    return record;
   }
 
   /**
-   * Get all grid heights in a specific area
-   * 获取特定区域内的所有网格高度
+   * Capture the editable state of the scene
+   * 捕获场景的可编辑状态
    */
-  getAreaHeights(startX, startY, endX, endY) {
-    const heights = new Map();
-    
-    const minX = Math.min(startX, endX);
-    const maxX = Math.max(startX, endX);
-    const minY = Math.min(startY, endY);
-    const maxY = Math.max(startY, endY);
-    
-    for (let x = minX; x <= maxX; x++) {
-      for (let y = minY; y <= maxY; y++) {
-        const key = this.getGridKey(x, y);
-        const height = this.gridHeights.get(key) || 0;
-        heights.set(key, height);
+  captureState() {
+    return {
+      gridHeights: new Map(this.gridHeights),
+      regions: foundry.utils.deepClone(this.regions),
+      exceptions: foundry.utils.deepClone(this.exceptions),
+      enabled: this.enabled
+    };
+  }
+
+  /**
+   * Compare a snapshot with the current state
+   * Grid changes are stored as [key, before, after], where null means "no stored height"
+   * 将快照与当前状态比较
+   * 网格变化以 [key, before, after] 存储，null 表示没有存储高度
+   */
+  diffState(snapshot, label) {
+    const grids = [];
+    const keys = new Set([...snapshot.gridHeights.keys(), ...this.gridHeights.keys()]);
+    for (const key of keys) {
+      const before = snapshot.gridHeights.has(key) ? snapshot.gridHeights.get(key) : null;
+      const after = this.gridHeights.has(key) ? this.gridHeights.get(key) : null;
+      if (before !== after) {
+        grids.push([key, before, after]);
       }
     }
-    
-    return heights;
+
+    const regionsChanged = JSON.stringify(snapshot.regions) !== JSON.stringify(this.regions);
+    const exceptionsChanged = JSON.stringify(snapshot.exceptions) !== JSON.stringify(this.exceptions);
+    const enabledChanged = snapshot.enabled !== this.enabled;
+
+    if (!grids.length && !regionsChanged && !exceptionsChanged && !enabledChanged) {
+      return null;
+    }
+
+    return {
+      sceneId: this.scene?.id,
+      label,
+      timestamp: Date.now(),
+      grids,
+      regions: regionsChanged ? { before: snapshot.regions, after: foundry.utils.deepClone(this.regions) } : null,
+      exceptions: exceptionsChanged ? { before: snapshot.exceptions, after: foundry.utils.deepClone(this.exceptions) } : null,
+      enabled: enabledChanged ? { before: snapshot.enabled, after: this.enabled } : null
+    };
   }
 
   /**
-   * Set heights for multiple grids
-   * 为多个网格设置高度
+   * Apply a recorded operation in either direction
+   * 按指定方向应用已记录的操作
+   * @param {object} record       Record produced by commitOperation
+   * @param {string} direction    "undo" restores the before state, "redo" the after state
    */
-  async setAreaHeights(gridPositions, height) {
-    if (!Array.isArray(gridPositions) || gridPositions.length === 0) {
-      return false;
-    }
+  async applyOperation(record, direction) {
+    const side = direction === "undo" ? "before" : "after";
+    const gridPositions = [];
 
-    let changesMade = false;
-    
-    for (const pos of gridPositions) {
-      const { x, y } = pos;
-      if (this.validateGridCoordinates(x, y)) {
-        const key = this.getGridKey(x, y);
-        const oldHeight = this.gridHeights.get(key) || 0;
-        
-        if (oldHeight !== height) {
-          this.gridHeights.set(key, height);
-          this.gridCache.delete(key);
-          changesMade = true;
-        }
+    for (const [key, before, after] of record.grids) {
+      const value = direction === "undo" ? before : after;
+      if (value === null) {
+        this.gridHeights.delete(key);
+      } else {
+        this.gridHeights.set(key, value);
       }
+      this.gridCache.delete(key);
+
+      this.dirtyGridKeys.add(key);
+
+      const position = this.parseGridKey(key);
+      if (position) gridPositions.push(position);
     }
-    
-    if (changesMade) {
-      const saved = await this.saveHeightData();
-      if (saved) {
-        Hooks.callAll(`${MODULE_ID}.areaHeightChanged`, gridPositions, height);
+
+    if (record.regions) {
+      this.regions = foundry.utils.deepClone(record.regions[side]);
+    }
+    if (record.exceptions) {
+      this.exceptions = foundry.utils.deepClone(record.exceptions[side]);
+    }
+    if (record.enabled) {
+      this.enabled = record.enabled[side];
+    }
+
+    // Grid-only operations can be persisted as a diff
+    // 仅涉及网格的操作可以差量写入
+    const saved = (record.regions || record.exceptions || record.enabled)
+      ? await this.saveHeightData()
+      : await this.flushHeightData();
+    if (saved) {
+      if (gridPositions.length > 0) {
+        Hooks.callAll(`${MODULE_ID}.areaHeightChanged`, { gridPositions, height: null });
+      }
+      if (record.regions) {
+        Hooks.callAll(`${MODULE_ID}.regionChanged`, { action: "restore" });
       }
-      return saved;
     }
-    
-    return true;
-  }
 
-  /**
-   * Reset all height data
-   * 重置所有高度数据
-   */
-  resetData() {
-    this.gridHeights.clear();
-    this.exceptTokens.clear();
-    this.enabled = true;
-    this.gridCache.clear();
+    return saved;
   }
 
   /**
@@ -557,7 +1874,8 @@ export default class HeightManager {
     
     return {
       totalGrids: this.gridHeights.size,
-      exceptionTokens: this.exceptTokens.size,
+      totalRegions: this.regions.length,
+      exceptionTokens: this.exceptions.length,
       minHeight: heights.length > 0 ? Math.min(...heights) : 0,
       maxHeight: heights.length > 0 ? Math.max(...heights) : 0,
       averageHeight: heights.length > 0 ? heights.reduce((a, b) => a + b, 0) / heights.length : 0,
@@ -572,43 +1890,207 @@ export default class HeightManager {
   exportData() {
     return {
       gridHeights: Object.fromEntries(this.gridHeights),
-      exceptTokens: Array.from(this.exceptTokens),
+      regions: this.regions,
+      exceptions: this.exceptions,
       enabled: this.enabled,
       scene: this.scene?.id,
       sceneName: this.scene?.name,
       exportDate: new Date().toISOString(),
-      version: "1.0.0"
+      version: DATA_VERSION
     };
   }
 
+  /**
+   * Migrate import data and decode its grid heights
+   * 迁移导入数据并解码其网格高度
+   * @param {object} data  Exported JSON
+   * @param {Scene} [scene]  Scene the data was exported from, defaults to the exported scene id or the current scene
+   * @returns {{data: object, heights: Map<string, number>|null}|null}  null when the data cannot be read;
+   *   heights is null when the data has no grid heights
+   */
+  readImportData(data, scene = game.scenes.get(data?.scene) ?? this.scene) {
+    // Upgrade files exported by earlier versions, refuse files from newer ones
+    // 升级旧版本导出的文件，拒绝新版本的文件
+    if (MigrationManager.isFromNewerVersion(data)) {
+      ui.notifications.error(game.i18n.format("MAP_HEIGHT.Migration.ImportTooNew", {
+        version: data.version,
+        current: DATA_VERSION
+      }));
+      return null;
+    }
+
+    try {
+      data = MigrationManager.migrate(data, { scene }).data;
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error migrating imported height data:`, error);
+      return null;
+    }
+
+    if (!data.gridHeights && !data.raster) {
+      return { data, heights: null };
+    }
+
+    const imported = data.raster ? HeightCodec.decode(data.raster) : new Map(Object.entries(data.gridHeights));
+    const heights = new Map();
+    imported.forEach((height, key) => {
+      if (this.parseGridKey(key) && this.validateHeight(height)) {
+        heights.set(key, Number(height));
+      }
+    });
+
+    return { data, heights };
+  }
+
+  /**
+   * Combine imported grid heights with the stored ones
+   * The offset moves grid 0,0 of the imported data; on hex grids it is applied in cube
+   * coordinates so shapes keep their form on odd rows and columns.
+   * A resulting height of 0 clears the grid instead of storing a 0 key, so imports stay sparse
+   * 将导入的网格高度与已存储的合并
+   * 偏移量移动导入数据的0,0网格；在六边形网格上以立方坐标应用，使形状在奇数行列上保持不变
+   * 结果高度为0时清除该网格而不是存储0键，使导入保持稀疏
+   * @param {Map<string, number>} heights  Imported heights
+   * @param {object} [options]
+   * @param {string} [options.mode="replace"]  One of IMPORT_MODES
+   * @param {number} [options.offsetX=0]
+   * @param {number} [options.offsetY=0]
+   * @returns {Map<string, number>}  The complete resulting height map
+   */
+  getImportedHeights(heights, { mode = "replace", offsetX = 0, offsetY = 0 } = {}) {
+    const result = mode === "replace" ? new Map() : new Map(this.gridHeights);
+    const shift = this.getImportShift(offsetX, offsetY);
+
+    for (const [key, height] of heights) {
+      const grid = shift(this.parseGridKey(key));
+      const target = this.getGridKey(grid.x, grid.y);
+      const current = this.gridHeights.get(target) || 0;
+
+      let value = height;
+      switch (mode) {
+        case "keep":
+          if (current !== 0) continue;
+          break;
+        case "add":
+          value = Math.round((current + height) * 100) / 100;
+          if (!this.validateHeight(value)) continue;
+          break;
+      }
+
+      if (value === 0) {
+        result.delete(target);
+      } else {
+        result.set(target, value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Resample heights stored in another grid geometry onto the current one
+   * Every grid of the current canvas takes the height of the source grid under its center,
+   * matched by position on the map art, so changed grid sizes, padding and image resolutions line up
+   * 将以另一种网格几何存储的高度重新采样到当前网格
+   * 当前canvas的每个网格取其中心下源网格的高度，按地图图像上的位置匹配，
+   * 使网格大小、边距和图像分辨率的变化能够对齐
+   * @param {Map<string, number>} heights  Heights keyed in the source geometry
+   * @param {GridCoordinates} source       Geometry the heights were stored in
+   * @param {object} [options]
+   * @param {object} [options.crop]  Source grid rectangle {left, top, right, bottom} to copy, inclusive
+   * @param {GridCoordinates} [options.target]  Geometry to resample into, the current canvas by default
+   * @returns {Map<string, number>}  Heights keyed in the target geometry
+   */
+  resampleHeights(heights, source, { crop = null, target = this.coordinates } = {}) {
+    const bounds = target.getCanvasGridBounds();
+    const result = new Map();
+
+    for (let y = bounds.top; y <= bounds.bottom; y++) {
+      for (let x = bounds.left; x <= bounds.right; x++) {
+        const point = source.fromArtPoint(target.toArtPoint(target.getGridCenter(x, y)));
+        const grid = source.getGridFromPoint(point.x, point.y);
+        if (crop && (grid.x < crop.left || grid.x > crop.right || grid.y < crop.top || grid.y > crop.bottom)) continue;
+
+        const height = heights.get(this.getGridKey(grid.x, grid.y));
+        if (height !== undefined) {
+          result.set(this.getGridKey(x, y), height);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the function moving imported grids by the import offset
+   * 构建按导入偏移量移动导入网格的函数
+   */
+  getImportShift(offsetX, offsetY) {
+    if (!offsetX && !offsetY) return grid => grid;
+
+    if (this.isHex) {
+      const origin = this.gridToCube(0, 0);
+      const target = this.gridToCube(offsetX, offsetY);
+      const dq = target.q - origin.q;
+      const dr = target.r - origin.r;
+      return grid => {
+        const cube = this.gridToCube(grid.x, grid.y);
+        return this.cubeToGrid({ q: cube.q + dq, r: cube.r + dr, s: -(cube.q + dq) - (cube.r + dr) });
+      };
+    }
+
+    return grid => ({ x: grid.x + offsetX, y: grid.y + offsetY });
+  }
+
   /**
    * Import height data from backup
+   * Replace mode swaps everything; the merge modes combine grid heights through getImportedHeights,
+   * append regions with new ids and add new exceptions, and leave the enabled state alone
    * 从备份导入高度数据
+   * 替换模式替换全部内容；合并模式通过 getImportedHeights 合并网格高度，
+   * 追加新id的区域并添加新的例外，且不改变启用状态
+   * @param {object} data  Exported JSON
+   * @param {object} [options]  Mode and grid offset, see getImportedHeights
    */
-  async importData(data) {
+  async importData(data, options = {}) {
+    const prepared = this.readImportData(data);
+    if (!prepared) return false;
+    data = prepared.data;
+
+    const replace = (options.mode ?? "replace") === "replace";
+
+    this.beginOperation("import");
     try {
-      if (data.gridHeights) {
+      if (prepared.heights) {
+        const heights = this.getImportedHeights(prepared.heights, options);
         this.gridHeights.clear();
-        Object.entries(data.gridHeights).forEach(([key, height]) => {
-          if (this.validateHeight(height)) {
-            this.gridHeights.set(key, Number(height));
-          }
-        });
+        heights.forEach((height, key) => this.gridHeights.set(key, height));
+        this.gridCache.clear();
       }
       
-      if (data.exceptTokens && Array.isArray(data.exceptTokens)) {
-        this.exceptTokens.clear();
-        data.exceptTokens.forEach(tokenId => {
-          if (typeof tokenId === 'string') {
-            this.exceptTokens.add(tokenId);
-          }
-        });
+      if (Array.isArray(data.regions)) {
+        // Merged regions get fresh ids, so a backup merged into its own scene adds its regions instead of dropping them
+        // 合并的区域使用新id，使备份合并回其原场景时追加其区域而不是丢弃它们
+        const regions = data.regions
+          .filter(region => this.validateRegion(region))
+          .map(region => ({ ...region, id: replace && region.id ? region.id : foundry.utils.randomID() }));
+        this.regions = replace ? regions : [...this.regions, ...regions];
+      }
+      
+      if (Array.isArray(data.exceptions)) {
+        const exceptions = data.exceptions
+          .filter(exception => this.validateException(exception))
+          .map(({ scope, id }) => ({ scope, id }));
+        this.exceptions = replace
+          ? exceptions
+          : [...this.exceptions, ...exceptions.filter(exception =>
+            !this.exceptions.some(existing => existing.scope === exception.scope && existing.id === exception.id))];
       }
       
-      if (typeof data.enabled === 'boolean') {
+      if (replace && typeof data.enabled === 'boolean') {
         this.enabled = data.enabled;
       }
       
+      this.commitOperation();
       const saved = await this.saveHeightData();
       if (saved) {
         Hooks.callAll(`${MODULE_ID}.dataImported`, data);
@@ -618,6 +2100,7 @@ export default class HeightManager {
       
     } catch (error) {
       console.error(`${MODULE_ID} | Error importing height data:`, error);
+      this.commitOperation();
       return false;
     }
   }
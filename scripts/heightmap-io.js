@@ -0,0 +1,863 @@
+/**
+ * FVTT Map Height Editor - Heightmap Import/Export
+ * Converts between grid heights and grayscale heightmap images
+ * 高度图导入/导出 - 在网格高度和灰度高度图图像之间转换
+ */
+
+import GridCoordinates from './grid-coordinates.js';
+import HeightManager from './height-manager.js';
+import MigrationManager from './migration-manager.js';
+
+const MODULE_ID = "fvtt-map-height";
+
+/**
+ * HeightmapIO class - grayscale image and CSV import/export
+ * 高度图IO类 - 灰度图像和CSV的导入/导出
+ *
+ * Foreign images are stretched over the scene area (the canvas without padding), like the
+ * background image they were made for. Each grid takes the brightness at its center
+ * or the mean brightness of the pixels inside it, and 0-255 is mapped linearly onto min-max.
+ * Images exported by this module carry their grid bounds and height mapping in a PNG tEXt
+ * chunk and are read back cell by cell instead.
+ * CSV files are a matrix over the scene grid bounds: the first row holds the grid x
+ * coordinates, the first column the grid y coordinates.
+ * Grids without a height are left transparent in images and empty in CSV files, and are not
+ * imported back. Both exports record their data version (in the metadata and the top-left CSV
+ * cell), so their grid keys are migrated on re-import like exported JSON.
+ * Decoding and sampling use an offscreen 2D canvas, so no WebGL context is involved.
+ */
+export default class HeightmapIO {
+
+  static IMAGE_TYPES = ["image/png", "image/webp"];
+
+  static SAMPLING_MODES = ["mean", "center"];
+
+  // PNG tEXt keyword of the export metadata
+  // 导出元数据的PNG tEXt关键字
+  static METADATA_KEYWORD = MODULE_ID;
+
+  // Height precisions tried, finest last, when exporting images
+  // 导出图像时尝试的高度精度，最细的在最后
+  static PRECISIONS = [1, 0.5, 0.1, 0.05, 0.01];
+
+  // Largest pixel value of 8-bit grayscale and 16-bit (red high byte, green low byte) exports
+  // 8位灰度导出和16位（红色高字节、绿色低字节）导出的最大像素值
+  static DEPTH_LEVELS = { 8: 255, 16: 65535 };
+
+  static CRC_TABLE = null;
+
+  /**
+   * Ask for a heightmap image and its mapping, then preview the import
+   * 询问高度图图像及其映射，然后预览导入
+   */
+  static async promptImageImport(heightManager) {
+    if (!heightManager?.scene) return false;
+
+    if (heightManager.isGridless) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Heightmap.GridlessUnsupported"));
+      return false;
+    }
+
+    const sampling = this.SAMPLING_MODES
+      .map(mode => `<option value="${mode}">${game.i18n.localize(`MAP_HEIGHT.Heightmap.Sampling.${mode}`)}</option>`)
+      .join("");
+    const content = `
+      <form class="map-height-heightmap-import">
+        <p class="hint">${game.i18n.localize("MAP_HEIGHT.Heightmap.ImportHint")}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Heightmap.File")}</label>
+          <input type="file" name="file" accept="${this.IMAGE_TYPES.join(",")}">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Heightmap.SamplingLabel")}</label>
+          <select name="sampling">${sampling}</select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Heightmap.Min")}</label>
+          <input type="number" name="min" value="0" step="any">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Heightmap.Max")}</label>
+          <input type="number" name="max" value="10" step="any">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Heightmap.Step")}</label>
+          <input type="number" name="step" value="0" min="0" step="any">
+        </div>
+      </form>
+    `;
+
+    const options = await Dialog.prompt({
+      title: game.i18n.localize("MAP_HEIGHT.Heightmap.ImportTitle"),
+      content,
+      label: game.i18n.localize("MAP_HEIGHT.Heightmap.Preview"),
+      rejectClose: false,
+      callback: html => {
+        const form = html[0].querySelector("form");
+        return {
+          file: form.file.files[0],
+          sampling: form.sampling.value,
+          min: Number(form.min.value),
+          max: Number(form.max.value),
+          step: Math.max(Number(form.step.value) || 0, 0)
+        };
+      }
+    });
+    if (!options) return false;
+
+    if (!options.file || !this.IMAGE_TYPES.includes(options.file.type)) {
+      ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Heightmap.InvalidImage"));
+      return false;
+    }
+    if (!heightManager.validateHeight(options.min) || !heightManager.validateHeight(options.max)) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Notifications.InvalidHeight"));
+      return false;
+    }
+
+    let heights;
+    let metadata;
+    try {
+      metadata = this.readMetadata(new Uint8Array(await options.file.arrayBuffer()));
+      if (metadata && metadata.grid !== this.getGridKind(heightManager)) {
+        ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Heightmap.GridMismatch"));
+        return false;
+      }
+
+      const image = await this.readImage(options.file);
+      heights = metadata
+        ? this.decodeImage(heightManager, image, metadata)
+        : this.sampleImage(heightManager, image, options);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error reading heightmap image:`, error);
+      ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Heightmap.InvalidImage"));
+      return false;
+    }
+
+    const message = metadata ? "MAP_HEIGHT.Heightmap.Restored" : "MAP_HEIGHT.Heightmap.Sampled";
+    return this.confirmImport(heightManager, this.toImportData(heights, metadata?.version), game.i18n.format(message, {
+      name: Handlebars.escapeExpression(options.file.name),
+      count: heights.size
+    }));
+  }
+
+  /**
+   * Preview and import exported JSON height data
+   * 预览并导入导出的JSON高度数据
+   * @param {HeightManager} heightManager
+   * @param {object} data  Parsed JSON
+   * @param {string} name  File name shown in the preview
+   */
+  static async importJson(heightManager, data, name) {
+    return this.confirmImport(heightManager, data, game.i18n.format("MAP_HEIGHT.Import.File", {
+      name: Handlebars.escapeExpression(name)
+    }));
+  }
+
+  /**
+   * Preview and import a CSV height matrix
+   * 预览并导入CSV高度矩阵
+   * @param {HeightManager} heightManager
+   * @param {string} text  CSV file content
+   * @param {string} name  File name shown in the preview
+   */
+  static async importCsv(heightManager, text, name) {
+    if (heightManager.isGridless) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Heightmap.GridlessUnsupported"));
+      return false;
+    }
+
+    const { heights, version } = this.parseCsv(heightManager, text);
+    return this.confirmImport(heightManager, this.toImportData(heights, version), game.i18n.format("MAP_HEIGHT.Heightmap.Sampled", {
+      name: Handlebars.escapeExpression(name),
+      count: heights.size
+    }));
+  }
+
+  /**
+   * Copy the grid heights of another scene, resampled onto the current grid
+   * 复制另一个场景的网格高度，并重新采样到当前网格
+   */
+  static async promptSceneCopy(heightManager) {
+    if (!heightManager?.scene) return false;
+
+    if (heightManager.isGridless) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Heightmap.GridlessUnsupported"));
+      return false;
+    }
+
+    const scenes = game.scenes.filter(scene =>
+      scene.id !== heightManager.scene.id && scene.getFlag(MODULE_ID, "heightData") && !scene.grid.isGridless
+    );
+    if (scenes.length === 0) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.SceneCopy.NoScenes"));
+      return false;
+    }
+
+    const options = scenes
+      .map(scene => `<option value="${scene.id}">${Handlebars.escapeExpression(scene.name)}</option>`)
+      .join("");
+    const crop = ["left", "top", "right", "bottom"]
+      .map(side => `<input type="number" name="${side}" step="1" placeholder="${game.i18n.localize(`MAP_HEIGHT.SceneCopy.Crop${side.capitalize()}`)}">`)
+      .join("");
+
+    const selection = await Dialog.prompt({
+      title: game.i18n.localize("MAP_HEIGHT.SceneCopy.Title"),
+      content: `
+        <form class="map-height-scene-copy">
+          <p class="hint">${game.i18n.localize("MAP_HEIGHT.SceneCopy.Hint")}</p>
+          <div class="form-group">
+            <label>${game.i18n.localize("MAP_HEIGHT.SceneCopy.Source")}</label>
+            <select name="scene">${options}</select>
+          </div>
+          <div class="form-group">
+            <label>${game.i18n.localize("MAP_HEIGHT.SceneCopy.Crop")}</label>
+            ${crop}
+          </div>
+        </form>
+      `,
+      label: game.i18n.localize("MAP_HEIGHT.Heightmap.Preview"),
+      rejectClose: false,
+      callback: html => {
+        const form = html[0].querySelector("form");
+        const sides = ["left", "top", "right", "bottom"].map(side => form[side].value.trim());
+        const [left, top, right, bottom] = sides.map(value => value === "" ? null : Math.round(Number(value)));
+        return {
+          scene: game.scenes.get(form.scene.value),
+          crop: sides.some(value => value !== "")
+            ? { left: left ?? -Infinity, top: top ?? -Infinity, right: right ?? Infinity, bottom: bottom ?? Infinity }
+            : null
+        };
+      }
+    });
+    if (!selection?.scene) return false;
+
+    const prepared = heightManager.readImportData(selection.scene.getFlag(MODULE_ID, "heightData"), selection.scene);
+    if (!prepared?.heights) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.SceneCopy.NoHeights"));
+      return false;
+    }
+
+    const source = new GridCoordinates(selection.scene);
+    const heights = heightManager.resampleHeights(prepared.heights, source, { crop: selection.crop });
+
+    return this.confirmImport(heightManager, this.toImportData(heights), game.i18n.format("MAP_HEIGHT.SceneCopy.Resampled", {
+      count: heights.size,
+      scene: Handlebars.escapeExpression(selection.scene.name),
+      from: source.gridSize,
+      to: heightManager.gridSize
+    }));
+  }
+
+  /**
+   * Wrap grid heights as import data
+   * confirmImport migrates them from the data version of the file they were read from
+   * 将网格高度包装为导入数据
+   * confirmImport 会从其来源文件的数据版本迁移它们
+   * @param {Map<string, number>} heights
+   * @param {string} [version]  Data version of the grid keys, the current one for sampled heights
+   */
+  static toImportData(heights, version = MigrationManager.CURRENT_VERSION) {
+    return { gridHeights: Object.fromEntries(heights), version };
+  }
+
+  /**
+   * Ask how to import height data, preview the affected grids while the options change, then import
+   * 询问如何导入高度数据，选项变化时预览受影响的网格，然后导入
+   * @param {HeightManager} heightManager
+   * @param {object} data     Import data, as exported by exportData
+   * @param {string} content  Dialog text describing the source
+   * @returns {Promise<boolean>}  Whether data was imported
+   */
+  static async confirmImport(heightManager, data, content) {
+    const prepared = heightManager.readImportData(data);
+    if (!prepared) {
+      ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Notifications.DataImportFailed"));
+      return false;
+    }
+
+    const modes = HeightManager.IMPORT_MODES
+      .map(mode => `<option value="${mode}">${game.i18n.localize(`MAP_HEIGHT.Import.Modes.${mode}`)}</option>`)
+      .join("");
+    const form = `
+      <form class="map-height-import">
+        <p>${content}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Import.Mode")}</label>
+          <select name="mode">${modes}</select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Import.Offset")}</label>
+          <input type="number" name="offsetX" value="0" step="1" placeholder="x">
+          <input type="number" name="offsetY" value="0" step="1" placeholder="y">
+        </div>
+        <p class="map-height-import-summary"></p>
+        <p class="hint">${game.i18n.localize("MAP_HEIGHT.ChangePreview.Hint")}</p>
+      </form>
+    `;
+
+    const readOptions = html => {
+      const element = html[0].querySelector("form");
+      return {
+        mode: element.mode.value,
+        offsetX: Math.round(Number(element.offsetX.value)) || 0,
+        offsetY: Math.round(Number(element.offsetY.value)) || 0
+      };
+    };
+
+    // Show the overlay while previewing, even outside the height layer
+    // 预览期间显示覆盖层，即使不在高度层
+    const overlay = window.MapHeightEditor?.heightOverlay;
+    const wasVisible = overlay?.isVisible;
+    overlay?.show();
+
+    const preview = html => {
+      const changes = prepared.heights
+        ? heightManager.getHeightChanges(heightManager.getImportedHeights(prepared.heights, readOptions(html)), { replace: true })
+        : [];
+      const raised = changes.filter(change => change.height > change.oldHeight).length;
+      overlay?.drawChangePreview(changes);
+      html.find(".map-height-import-summary").text(game.i18n.format("MAP_HEIGHT.ChangePreview.Summary", {
+        changes: changes.length,
+        raised,
+        lowered: changes.length - raised
+      }));
+    };
+
+    const options = await new Promise(resolve => {
+      new Dialog({
+        title: game.i18n.localize("MAP_HEIGHT.Import.Title"),
+        content: form,
+        buttons: {
+          import: {
+            icon: '<i class="fas fa-file-import"></i>',
+            label: game.i18n.localize("MAP_HEIGHT.Import.Apply"),
+            callback: html => resolve(readOptions(html))
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: game.i18n.localize("Cancel"),
+            callback: () => resolve(null)
+          }
+        },
+        default: "import",
+        render: html => {
+          html.find("select, input").on("change", () => preview(html));
+          preview(html);
+        },
+        close: () => resolve(null)
+      }).render(true);
+    });
+
+    overlay?.clearChangePreview();
+    if (!wasVisible) overlay?.hide();
+    if (!options) return false;
+
+    const success = await heightManager.importData(data, options);
+    if (success) {
+      ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Notifications.DataImported"));
+    } else {
+      ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Notifications.DataImportFailed"));
+    }
+    return success;
+  }
+
+  /**
+   * Decode an image file into pixel data
+   * 将图像文件解码为像素数据
+   * @param {Blob} file
+   * @returns {Promise<ImageData>}
+   */
+  static async readImage(file) {
+    const bitmap = await createImageBitmap(file);
+    try {
+      const context = this.createContext(bitmap.width, bitmap.height);
+      context.drawImage(bitmap, 0, 0);
+      return context.getImageData(0, 0, bitmap.width, bitmap.height);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * Create an offscreen 2D context, falling back to a detached canvas element
+   * 创建离屏2D上下文，不支持时回退到分离的canvas元素
+   */
+  static createContext(width, height) {
+    const target = typeof OffscreenCanvas === "function"
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement("canvas"), { width, height });
+    return target.getContext("2d", { willReadFrequently: true });
+  }
+
+  /**
+   * Sample a grayscale image into grid heights over the scene area
+   * 在场景区域上将灰度图像采样为网格高度
+   * @param {HeightManager} heightManager
+   * @param {ImageData} image
+   * @param {object} options
+   * @param {string} [options.sampling="mean"]  "mean" or "center"
+   * @param {number} [options.min=0]            Height of black
+   * @param {number} [options.max=10]           Height of white
+   * @param {number} [options.step=0]           Round heights to this step (0 rounds to 0.1)
+   * @returns {Map<string, number>}
+   */
+  static sampleImage(heightManager, image, { sampling = "mean", min = 0, max = 10, step = 0 } = {}) {
+    const { sceneWidth, sceneHeight } = heightManager.coordinates.dimensions;
+    const scaleX = image.width / sceneWidth;
+    const scaleY = image.height / sceneHeight;
+    const bounds = heightManager.getSceneGridBounds();
+    const heights = new Map();
+
+    for (let y = bounds.top; y <= bounds.bottom; y++) {
+      for (let x = bounds.left; x <= bounds.right; x++) {
+        const value = sampling === "center"
+          ? this.sampleCenter(heightManager, image, x, y, scaleX, scaleY)
+          : this.sampleMean(heightManager, image, x, y, scaleX, scaleY);
+        if (value === null) continue;
+
+        heights.set(heightManager.getGridKey(x, y), this.toHeight(value, min, max, step));
+      }
+    }
+
+    return heights;
+  }
+
+  /**
+   * Read the brightness of the pixel under a grid's center
+   * 读取网格中心下像素的亮度
+   * @returns {number|null}  0-255, or null outside the image or on transparent pixels
+   */
+  static sampleCenter(heightManager, image, gridX, gridY, scaleX, scaleY) {
+    const { sceneX, sceneY } = heightManager.coordinates.dimensions;
+    const center = heightManager.getGridCenter(gridX, gridY);
+    const px = Math.floor((center.x - sceneX) * scaleX);
+    const py = Math.floor((center.y - sceneY) * scaleY);
+    if (px < 0 || py < 0 || px >= image.width || py >= image.height) return null;
+
+    return this.getBrightness(image, px, py);
+  }
+
+  /**
+   * Average the brightness of the pixels whose centers lie inside a grid
+   * Falls back to the center pixel for cells smaller than a pixel
+   * 计算中心位于网格内的像素的平均亮度
+   * 对于小于一个像素的单元格，回退到中心像素
+   * @returns {number|null}
+   */
+  static sampleMean(heightManager, image, gridX, gridY, scaleX, scaleY) {
+    const { sceneX, sceneY } = heightManager.coordinates.dimensions;
+    const polygon = new PIXI.Polygon(heightManager.getGridPolygon(gridX, gridY));
+    const cellBounds = polygon.getBounds();
+
+    const left = Math.max(Math.floor((cellBounds.left - sceneX) * scaleX), 0);
+    const top = Math.max(Math.floor((cellBounds.top - sceneY) * scaleY), 0);
+    const right = Math.min(Math.ceil((cellBounds.right - sceneX) * scaleX), image.width);
+    const bottom = Math.min(Math.ceil((cellBounds.bottom - sceneY) * scaleY), image.height);
+
+    let total = 0;
+    let count = 0;
+    for (let py = top; py < bottom; py++) {
+      for (let px = left; px < right; px++) {
+        if (!polygon.contains(sceneX + (px + 0.5) / scaleX, sceneY + (py + 0.5) / scaleY)) continue;
+
+        const brightness = this.getBrightness(image, px, py);
+        if (brightness === null) continue;
+        total += brightness;
+        count++;
+      }
+    }
+
+    return count > 0 ? total / count : this.sampleCenter(heightManager, image, gridX, gridY, scaleX, scaleY);
+  }
+
+  /**
+   * Get the luminance of a pixel
+   * 获取像素的亮度
+   * @returns {number|null}  0-255, null for transparent pixels
+   */
+  static getBrightness(image, px, py) {
+    const index = (py * image.width + px) * 4;
+    const data = image.data;
+    if (data[index + 3] === 0) return null;
+
+    return 0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2];
+  }
+
+  /**
+   * Get the 16-bit value of a pixel from a 16-bit export (red high byte, green low byte)
+   * 从16位导出中获取像素的16位值（红色高字节、绿色低字节）
+   * @returns {number|null}  0-65535, null for transparent pixels
+   */
+  static getWideValue(image, px, py) {
+    const index = (py * image.width + px) * 4;
+    const data = image.data;
+    if (data[index + 3] === 0) return null;
+
+    return data[index] * 256 + data[index + 1];
+  }
+
+  /**
+   * Map a 0-255 brightness onto a height
+   * 将0-255的亮度映射为高度
+   */
+  static toHeight(value, min, max, step) {
+    const height = min + (value / 255) * (max - min);
+    return step > 0
+      ? Math.round(height / step) * step
+      : Math.round(height * 10) / 10;
+  }
+
+  /**
+   * Get the grid type stored in exports
+   * 获取导出中存储的网格类型
+   */
+  static getGridKind(heightManager) {
+    return heightManager.isHex ? "hex" : "square";
+  }
+
+  /**
+   * Collect the heights of every grid in the scene bounds, row by row
+   * 逐行收集场景范围内每个网格的高度
+   * @returns {{bounds: object, rows: (number|null)[][]}}  null for grids without a height
+   */
+  static getHeightMatrix(heightManager) {
+    const bounds = heightManager.getSceneGridBounds();
+    const rows = [];
+
+    for (let y = bounds.top; y <= bounds.bottom; y++) {
+      const row = [];
+      for (let x = bounds.left; x <= bounds.right; x++) {
+        row.push(heightManager.gridHeights.get(heightManager.getGridKey(x, y)) ?? null);
+      }
+      rows.push(row);
+    }
+
+    return { bounds, rows };
+  }
+
+  /**
+   * Find the coarsest precision all heights are multiples of
+   * 查找所有高度都是其倍数的最粗精度
+   */
+  static getPrecision(heights) {
+    const isMultiple = (height, precision) => Math.abs(height / precision - Math.round(height / precision)) < 1e-6;
+    return this.PRECISIONS.find(precision => heights.every(height => isMultiple(height, precision)))
+      ?? this.PRECISIONS.at(-1);
+  }
+
+  /**
+   * Work out how heights are mapped onto pixel values
+   * Every step of the detected precision stays distinct: ranges up to 256 steps are stored
+   * as 8-bit grayscale, larger ones as 16 bits across the red and green channels
+   * 计算高度到像素值的映射
+   * 检测到的精度的每一级都保持可区分：不超过256级的范围存储为8位灰度，更大的范围用红绿两个通道存储为16位
+   * @param {number[]} values  Heights of the grids that have one
+   * @returns {{min: number, max: number, precision: number, depth: number, exact: boolean}}
+   */
+  static getImageMapping(values) {
+    const min = values.reduce((lowest, height) => Math.min(lowest, height), values.length ? Infinity : 0);
+    const max = values.reduce((highest, height) => Math.max(highest, height), values.length ? -Infinity : 0);
+    const precision = this.getPrecision(values);
+    const steps = Math.round((max - min) / precision);
+    const depth = steps > this.DEPTH_LEVELS[8] ? 16 : 8;
+
+    return { min, max: max > min ? max : min + 1, precision, depth, exact: steps <= this.DEPTH_LEVELS[depth] };
+  }
+
+  /**
+   * Render the scene grid heights as a PNG heightmap, mapped as described by getImageMapping
+   * The mapping is stored in a tEXt chunk
+   * 将场景网格高度渲染为PNG高度图，映射方式见 getImageMapping
+   * 映射存储在tEXt块中
+   * @param {HeightManager} heightManager
+   * @param {object} [options]
+   * @param {number} [options.scale=1]  Pixels per grid along each axis
+   * @returns {Promise<Blob>}
+   */
+  static async exportImage(heightManager, { scale = 1 } = {}) {
+    const { bounds, rows } = this.getHeightMatrix(heightManager);
+    const values = rows.flat().filter(height => height !== null);
+    const { min, max, precision, depth } = this.getImageMapping(values);
+    const levels = this.DEPTH_LEVELS[depth];
+
+    const columns = rows[0].length;
+    const context = this.createContext(columns * scale, rows.length * scale);
+    const image = context.createImageData(columns * scale, rows.length * scale);
+
+    rows.forEach((row, rowIndex) => {
+      row.forEach((height, columnIndex) => {
+        // Grids without a height stay transparent
+        // 没有高度的网格保持透明
+        if (height === null) return;
+
+        const value = Math.round(((height - min) / (max - min)) * levels);
+        const pixel = depth === 16 ? [value >> 8, value & 0xff, 0, 255] : [value, value, value, 255];
+        for (let py = rowIndex * scale; py < (rowIndex + 1) * scale; py++) {
+          for (let px = columnIndex * scale; px < (columnIndex + 1) * scale; px++) {
+            const index = (py * image.width + px) * 4;
+            image.data.set(pixel, index);
+          }
+        }
+      });
+    });
+    context.putImageData(image, 0, 0);
+
+    const target = context.canvas;
+    const blob = typeof target.convertToBlob === "function"
+      ? await target.convertToBlob({ type: "image/png" })
+      : await new Promise(resolve => target.toBlob(resolve, "image/png"));
+
+    const metadata = {
+      version: MigrationManager.CURRENT_VERSION,
+      grid: this.getGridKind(heightManager),
+      left: bounds.left,
+      top: bounds.top,
+      columns,
+      rows: rows.length,
+      scale,
+      depth,
+      min,
+      max,
+      precision
+    };
+    const bytes = this.writeMetadata(new Uint8Array(await blob.arrayBuffer()), metadata);
+    return new Blob([bytes], { type: "image/png" });
+  }
+
+  /**
+   * Read heights back from an image exported by this module
+   * 从本模块导出的图像中读回高度
+   * @param {HeightManager} heightManager
+   * @param {ImageData} image
+   * @param {object} metadata  Export metadata, see exportImage
+   * @returns {Map<string, number>}
+   */
+  static decodeImage(heightManager, image, { left, top, columns, rows, scale, depth = 8, min, max, precision }) {
+    const heights = new Map();
+    const cellWidth = image.width / columns;
+    const cellHeight = image.height / rows;
+    const levels = this.DEPTH_LEVELS[depth];
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const px = Math.floor((column + 0.5) * cellWidth);
+        const py = Math.floor((row + 0.5) * cellHeight);
+        const value = depth === 16 ? this.getWideValue(image, px, py) : this.getBrightness(image, px, py);
+        if (value === null) continue;
+
+        const height = Math.round((min + (value / levels) * (max - min)) / precision) * precision;
+        heights.set(heightManager.getGridKey(left + column, top + row), Math.round(height * 100) / 100);
+      }
+    }
+
+    return heights;
+  }
+
+  /**
+   * Render the scene grid heights as a CSV matrix
+   * 将场景网格高度渲染为CSV矩阵
+   * @returns {string}
+   */
+  static exportCsv(heightManager) {
+    const { bounds, rows } = this.getHeightMatrix(heightManager);
+    const header = [`y/x v${MigrationManager.CURRENT_VERSION}`];
+    for (let x = bounds.left; x <= bounds.right; x++) {
+      header.push(x);
+    }
+
+    const lines = rows.map((row, index) => [bounds.top + index, ...row.map(height => height ?? "")].join(","));
+    return [header.join(","), ...lines].join("\n");
+  }
+
+  /**
+   * Parse a CSV matrix into grid heights
+   * Accepts ";" separated files with decimal commas as saved by some spreadsheet locales; empty cells are skipped
+   * 将CSV矩阵解析为网格高度
+   * 接受某些电子表格区域设置保存的以";"分隔、使用小数逗号的文件；跳过空单元格
+   * @returns {{heights: Map<string, number>, version: string}}  version comes from the first header cell ("y/x v1.2.0"), the current one if missing
+   */
+  static parseCsv(heightManager, text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length < 2) {
+      throw new Error(`${MODULE_ID} | CSV height matrix needs a header row and at least one data row`);
+    }
+
+    const separator = lines[0].includes(";") && !lines[0].includes(",") ? ";" : ",";
+    const parse = value => Number(separator === ";" ? value.trim().replace(",", ".") : value.trim());
+    const [corner, ...labels] = lines[0].split(separator);
+    const version = corner.match(/\d+\.\d+\.\d+/)?.[0] ?? MigrationManager.CURRENT_VERSION;
+    const columns = labels.map(parse);
+    if (columns.some(x => !Number.isInteger(x))) {
+      throw new Error(`${MODULE_ID} | CSV header must list grid x coordinates`);
+    }
+
+    const heights = new Map();
+    for (const line of lines.slice(1)) {
+      const [rowLabel, ...cells] = line.split(separator);
+      const y = parse(rowLabel);
+      if (!Number.isInteger(y)) {
+        throw new Error(`${MODULE_ID} | CSV rows must start with a grid y coordinate`);
+      }
+
+      cells.forEach((cell, index) => {
+        if (cell.trim() === "") return;
+
+        const height = parse(cell);
+        if (index < columns.length && heightManager.validateHeight(height)) {
+          heights.set(heightManager.getGridKey(columns[index], y), height);
+        }
+      });
+    }
+
+    return { heights, version };
+  }
+
+  /**
+   * Ask for the image scale and download the PNG heightmap
+   * 询问图像缩放并下载PNG高度图
+   */
+  static async promptImageExport(heightManager) {
+    if (!heightManager?.scene) return;
+
+    if (heightManager.isGridless) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Heightmap.GridlessUnsupported"));
+      return;
+    }
+
+    // Tell how the heights will be stored, and warn when the image cannot hold every step
+    // 说明高度的存储方式，并在图像无法容纳每一级时发出警告
+    const { rows } = this.getHeightMatrix(heightManager);
+    const mapping = this.getImageMapping(rows.flat().filter(height => height !== null));
+    const notes = [];
+    if (mapping.depth === 16) {
+      notes.push(game.i18n.localize("MAP_HEIGHT.Heightmap.WideDepth"));
+    }
+    if (!mapping.exact) {
+      notes.push(game.i18n.format("MAP_HEIGHT.Heightmap.PrecisionLost", { precision: mapping.precision }));
+    }
+
+    const scale = await Dialog.prompt({
+      title: game.i18n.localize("MAP_HEIGHT.Heightmap.ExportTitle"),
+      content: `
+        <form>
+          ${notes.map(note => `<p class="hint">${note}</p>`).join("")}
+          <div class="form-group">
+            <label>${game.i18n.localize("MAP_HEIGHT.Heightmap.Scale")}</label>
+            <input type="number" name="scale" value="1" min="1" max="64" step="1">
+          </div>
+        </form>
+      `,
+      label: game.i18n.localize("MAP_HEIGHT.Heightmap.Export"),
+      rejectClose: false,
+      callback: html => Math.clamp(Math.round(Number(html[0].querySelector("form").scale.value)) || 1, 1, 64)
+    });
+    if (!scale) return;
+
+    const blob = await this.exportImage(heightManager, { scale });
+    saveDataToFile(blob, "image/png", `map-heights-${heightManager.scene.name.slugify()}-${Date.now()}.png`);
+    ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Notifications.DataExported"));
+  }
+
+  /**
+   * Download the CSV height matrix
+   * 下载CSV高度矩阵
+   */
+  static exportCsvFile(heightManager) {
+    if (!heightManager?.scene) return;
+
+    if (heightManager.isGridless) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Heightmap.GridlessUnsupported"));
+      return;
+    }
+
+    const filename = `map-heights-${heightManager.scene.name.slugify()}-${Date.now()}.csv`;
+    saveDataToFile(this.exportCsv(heightManager), "text/csv", filename);
+    ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Notifications.DataExported"));
+  }
+
+  /**
+   * Read the export metadata from PNG bytes
+   * 从PNG字节读取导出元数据
+   * @param {Uint8Array} bytes
+   * @returns {object|null}
+   */
+  static readMetadata(bytes) {
+    const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+    if (bytes.length < 8 || signature.some((value, index) => bytes[index] !== value)) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder("latin1");
+    let offset = 8;
+
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = decoder.decode(bytes.subarray(offset + 4, offset + 8));
+      if (type === "tEXt") {
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        const separator = data.indexOf(0);
+        if (decoder.decode(data.subarray(0, separator)) === this.METADATA_KEYWORD) {
+          return JSON.parse(decoder.decode(data.subarray(separator + 1)));
+        }
+      }
+      if (type === "IEND") break;
+      offset += length + 12;
+    }
+
+    return null;
+  }
+
+  /**
+   * Insert the export metadata as a tEXt chunk before IEND
+   * 将导出元数据作为tEXt块插入IEND之前
+   * @param {Uint8Array} bytes  PNG file
+   * @param {object} metadata
+   * @returns {Uint8Array}
+   */
+  static writeMetadata(bytes, metadata) {
+    const encoder = new TextEncoder();
+    const keyword = encoder.encode(this.METADATA_KEYWORD);
+    const text = encoder.encode(JSON.stringify(metadata));
+
+    // Chunk: length, type, keyword, null separator, text, CRC over type and data
+    // 块：长度、类型、关键字、空分隔符、文本、类型和数据的CRC
+    const chunk = new Uint8Array(12 + keyword.length + 1 + text.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, keyword.length + 1 + text.length);
+    chunk.set(encoder.encode("tEXt"), 4);
+    chunk.set(keyword, 8);
+    chunk.set(text, 8 + keyword.length + 1);
+    view.setUint32(chunk.length - 4, this.crc32(chunk.subarray(4, chunk.length - 4)));
+
+    // IEND is always the last 12 bytes
+    // IEND 总是最后12个字节
+    const end = bytes.length - 12;
+    const result = new Uint8Array(bytes.length + chunk.length);
+    result.set(bytes.subarray(0, end), 0);
+    result.set(chunk, end);
+    result.set(bytes.subarray(end), end + chunk.length);
+    return result;
+  }
+
+  /**
+   * CRC-32 as used by PNG chunks
+   * PNG块使用的CRC-32
+   */
+  static crc32(bytes) {
+    if (!this.CRC_TABLE) {
+      this.CRC_TABLE = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.CRC_TABLE[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+      crc = this.CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
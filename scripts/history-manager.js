@@ -0,0 +1,171 @@
+/**
+ * FVTT Map Height Editor - History Manager
+ * Per-scene undo/redo stacks for height edits
+ * 历史管理器 - 按场景记录高度编辑的撤销/重做栈
+ */
+
+const MODULE_ID = "fvtt-map-height";
+
+/**
+ * HistoryManager class - records operations from HeightManager and replays them
+ * 历史管理器类 - 记录HeightManager的操作并进行回放
+ */
+export default class HistoryManager {
+
+  constructor(heightManager) {
+    this.heightManager = heightManager;
+    this.stacks = new Map(); // Map of scene id -> { undo: [], redo: [] }
+    this.isApplying = false;
+
+    this.initialize();
+  }
+
+  /**
+   * Initialize history hooks
+   * 初始化历史钩子
+   */
+  initialize() {
+    Hooks.on(`${MODULE_ID}.operationRecorded`, this.onOperationRecorded.bind(this));
+    Hooks.on(`${MODULE_ID}.dataReloaded`, this.onDataReloaded.bind(this));
+  }
+
+  /**
+   * Maximum number of operations kept per scene
+   * 每个场景保留的最大操作数
+   */
+  get maxDepth() {
+    return game.settings.get(MODULE_ID, "historyDepth");
+  }
+
+  /**
+   * Get (or create) the stacks for a scene
+   * 获取（或创建）场景的撤销/重做栈
+   */
+  getStack(sceneId) {
+    if (!this.stacks.has(sceneId)) {
+      this.stacks.set(sceneId, { undo: [], redo: [] });
+    }
+    return this.stacks.get(sceneId);
+  }
+
+  /**
+   * Record a committed operation
+   * 记录已提交的操作
+   */
+  onOperationRecorded(record) {
+    if (this.isApplying || !record.sceneId || this.maxDepth <= 0) return;
+
+    const stack = this.getStack(record.sceneId);
+    stack.undo.push(record);
+    stack.redo = [];
+
+    // Drop the oldest operations beyond the configured depth
+    // 丢弃超出配置深度的最旧操作
+    while (stack.undo.length > this.maxDepth) {
+      stack.undo.shift();
+    }
+
+    Hooks.callAll(`${MODULE_ID}.historyChanged`, this.getStatus());
+  }
+
+  /**
+   * Drop a scene's history when another client saved its heights
+   * The recorded before/after values no longer describe the stored data
+   * 其他客户端保存场景高度时丢弃该场景的历史
+   * 记录的前后值已不再对应已存储的数据
+   */
+  onDataReloaded(scene) {
+    if (scene?.id && this.stacks.has(scene.id)) {
+      this.clear(scene.id);
+    }
+  }
+
+  /**
+   * Undo the last operation on the current scene
+   * 撤销当前场景的上一个操作
+   */
+  async undo() {
+    return this.step("undo");
+  }
+
+  /**
+   * Redo the last undone operation on the current scene
+   * 重做当前场景上一个被撤销的操作
+   */
+  async redo() {
+    return this.step("redo");
+  }
+
+  /**
+   * Move one step through the history
+   * 在历史中移动一步
+   */
+  async step(direction) {
+    const sceneId = this.heightManager.scene?.id;
+    if (!sceneId || this.isApplying) return false;
+
+    // Never replay history in the middle of a stroke
+    // 绘制过程中不回放历史
+    if (this.heightManager.currentOperation) return false;
+
+    const stack = this.getStack(sceneId);
+    const source = direction === "undo" ? stack.undo : stack.redo;
+    const target = direction === "undo" ? stack.redo : stack.undo;
+
+    const record = source.pop();
+    if (!record) {
+      ui.notifications.info(game.i18n.localize(
+        direction === "undo" ? "MAP_HEIGHT.History.NothingToUndo" : "MAP_HEIGHT.History.NothingToRedo"
+      ));
+      return false;
+    }
+
+    this.isApplying = true;
+    let applied = false;
+    try {
+      applied = await this.heightManager.applyOperation(record, direction);
+    } finally {
+      this.isApplying = false;
+    }
+
+    if (!applied) {
+      source.push(record);
+      return false;
+    }
+
+    target.push(record);
+
+    const operation = game.i18n.localize(`MAP_HEIGHT.History.Operations.${record.label}`);
+    ui.notifications.info(game.i18n.format(
+      direction === "undo" ? "MAP_HEIGHT.History.Undone" : "MAP_HEIGHT.History.Redone",
+      { operation }
+    ));
+
+    Hooks.callAll(`${MODULE_ID}.historyChanged`, this.getStatus());
+    return true;
+  }
+
+  /**
+   * Clear history for a scene (defaults to the current scene)
+   * 清除场景的历史（默认当前场景）
+   */
+  clear(sceneId = this.heightManager.scene?.id) {
+    this.stacks.delete(sceneId);
+    Hooks.callAll(`${MODULE_ID}.historyChanged`, this.getStatus());
+  }
+
+  /**
+   * Get history status for the current scene
+   * 获取当前场景的历史状态
+   */
+  getStatus() {
+    const stack = this.getStack(this.heightManager.scene?.id);
+    return {
+      canUndo: stack.undo.length > 0,
+      canRedo: stack.redo.length > 0,
+      undoSize: stack.undo.length,
+      redoSize: stack.redo.length,
+      maxDepth: this.maxDepth
+    };
+  }
+}
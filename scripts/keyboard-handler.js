@@ -29,7 +29,9 @@ export default class KeyboardHandler {
       '-': { adjustment: -1, description: 'Decrease height by 1' },
       '_': { adjustment: -1, description: 'Decrease height by 1' }, // For Shift+-
       'Digit0': { setValue: 0, description: 'Set height to 0', requiresNumpad: false },
-      'Numpad0': { setValue: 0, description: 'Set height to 0' }
+      'Numpad0': { setValue: 0, description: 'Set height to 0' },
+      'BracketLeft': { radiusAdjustment: -1, description: 'Decrease brush radius' },
+      'BracketRight': { radiusAdjustment: 1, description: 'Increase brush radius' }
     };
 
     // Initialize
@@ -107,6 +109,27 @@ export default class KeyboardHandler {
       return;
     }
 
+    // Undo (Ctrl+Z) / redo (Ctrl+Shift+Z or Ctrl+Y)
+    // 撤销 (Ctrl+Z) / 重做 (Ctrl+Shift+Z 或 Ctrl+Y)
+    if ((event.ctrlKey || event.metaKey) && (event.code === 'KeyZ' || event.code === 'KeyY')) {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const historyManager = window.MapHeightEditor?.historyManager;
+      if (!historyManager) return;
+
+      if (event.code === 'KeyY' || event.shiftKey) {
+        historyManager.redo();
+      } else {
+        historyManager.undo();
+      }
+      return;
+    }
+
+    // Copy, paste and transform shortcuts of the selection tools take precedence
+    // 选择工具的复制、粘贴和变换快捷键优先
+    if (window.MapHeightEditor?.selectionTool?.onKeyDown(event)) return;
+
     // Check if this is a registered shortcut
     // 检查是否为已注册的快捷键
     // Try event.code first, then event.key for compatibility
@@ -123,6 +146,14 @@ export default class KeyboardHandler {
     event.preventDefault();
     event.stopPropagation();
 
+    // Brush radius shortcuts ([ / ])
+    // 画笔半径快捷键 ([ / ])
+    if (shortcut.radiusAdjustment !== undefined) {
+      const radius = window.MapHeightEditor?.brushRadius || 1;
+      this.brushDisplay?.setBrush({ radius: radius + shortcut.radiusAdjustment });
+      return;
+    }
+
     // Get current height
     let currentHeight = window.MapHeightEditor?.currentBrushHeight || 0;
     let newHeight;
@@ -235,6 +266,14 @@ export default class KeyboardHandler {
             <tr><td><kbd>+</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Plus")}</td></tr>
             <tr><td><kbd>-</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Minus")}</td></tr>
             <tr><td><kbd>0</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Zero")}</td></tr>
+            <tr><td><kbd>[</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.RadiusDown")}</td></tr>
+            <tr><td><kbd>]</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.RadiusUp")}</td></tr>
+            <tr><td><kbd>Ctrl</kbd>+<kbd>C</kbd> / <kbd>X</kbd> / <kbd>V</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Clipboard")}</td></tr>
+            <tr><td><kbd>R</kbd> / <kbd>Shift</kbd>+<kbd>R</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Rotate")}</td></tr>
+            <tr><td><kbd>M</kbd> / <kbd>Shift</kbd>+<kbd>M</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Mirror")}</td></tr>
+            <tr><td><kbd>↑</kbd><kbd>↓</kbd><kbd>←</kbd><kbd>→</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Nudge")}</td></tr>
+            <tr><td><kbd>Ctrl</kbd>+<kbd>Z</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Undo")}</td></tr>
+            <tr><td><kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>Z</kbd></td><td>${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Redo")}</td></tr>
           </tbody>
         </table>
         <p class="hint">${game.i18n.localize("MAP_HEIGHT.KeyboardShortcuts.Hint")}</p>
@@ -23,6 +23,9 @@ Hooks.once('init', async function() {
   MapHeightEditor.MODULE_ID = MODULE_ID;
   MapHeightEditor.isActive = false;
   MapHeightEditor.currentBrushHeight = 0;
+  MapHeightEditor.brushRadius = 1;
+  MapHeightEditor.brushShape = "square";
+  MapHeightEditor.brushClamp = { min: 0, max: 10 };
 
   // Register custom canvas layer
   await registerCanvasLayer();
@@ -36,6 +39,9 @@ Hooks.once('setup', async function() {
   
   // Import and initialize components
   await loadModuleComponents();
+
+  // Let other modules add their own flying/hover detection
+  Hooks.callAll(`${MODULE_ID}.registerSkipRules`, MapHeightEditor.registerSkipRule);
 });
 
 /**
@@ -43,6 +49,15 @@ Hooks.once('setup', async function() {
  * 准备钩子 - 一切加载完毕时调用
  */
 Hooks.once('ready', async function() {
+  // Upgrade stored height data once per world load, on the active GM only
+  // 每次加载世界时仅由活跃GM升级已存储的高度数据
+  if (game.users.activeGM?.isSelf && MapHeightEditor.MigrationManager) {
+    await MapHeightEditor.MigrationManager.migrateWorld();
+  }
+
+  // Height data and token automation run on every client, elevation updates are relayed to one GM
+  if (!initializeCoreComponents()) return;
+
   // Initialize UI components if user is GM
   if (game.user.isGM) {
     initializeGMInterface();
@@ -54,13 +69,12 @@ Hooks.once('ready', async function() {
  * Canvas准备钩子 - Canvas准备就绪时调用
  */
 Hooks.on('canvasReady', async function() {
-  if (!game.user.isGM) return;
-  
-  
   // Reinitialize height manager for the new scene
   if (MapHeightEditor.heightManager) {
     MapHeightEditor.heightManager.initialize(canvas.scene);
   }
+
+  if (!game.user.isGM) return;
   
   // Reinitialize height overlay
   if (MapHeightEditor.heightOverlay) {
@@ -87,6 +101,86 @@ Hooks.on('getSceneControlButtons', (controls) => {
         name: "brush",
         title: game.i18n.localize("MAP_HEIGHT.Controls.PaintHeight"),
         icon: "fas fa-paint-brush"
+      },
+      {
+        name: "raise",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.BrushModes.raise"),
+        icon: "fas fa-arrows-alt-v",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "smooth",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.BrushModes.smooth"),
+        icon: "fas fa-wave-square",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "flatten",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.BrushModes.flatten"),
+        icon: "fas fa-ruler-horizontal",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "clamp",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.BrushModes.clamp"),
+        icon: "fas fa-compress-alt",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "select",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.Select"),
+        icon: "fas fa-vector-square",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "select-lasso",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.SelectLasso"),
+        icon: "fas fa-object-ungroup",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "select-range",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.SelectRange"),
+        icon: "fas fa-filter",
+        button: true,
+        visible: !canvas?.grid?.isGridless,
+        onClick: () => MapHeightEditor.selectionTool?.promptHeightRange()
+      },
+      {
+        name: "lasso",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.Lasso"),
+        icon: "fas fa-draw-polygon",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "ellipse",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.Ellipse"),
+        icon: "far fa-circle",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "gradient",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.Gradient"),
+        icon: "fas fa-signal",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "bucket",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.FloodFill"),
+        icon: "fas fa-fill-drip",
+        visible: !canvas?.grid?.isGridless
+      },
+      {
+        name: "region-polygon",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.RegionPolygon"),
+        icon: "fas fa-draw-polygon",
+        visible: !!canvas?.grid?.isGridless
+      },
+      {
+        name: "region-circle",
+        title: game.i18n.localize("MAP_HEIGHT.Controls.RegionCircle"),
+        icon: "far fa-circle",
+        visible: !!canvas?.grid?.isGridless
       }
     ]
   };
@@ -94,6 +188,85 @@ Hooks.on('getSceneControlButtons', (controls) => {
   controls.push(mapHeightControl);
 });
 
+/**
+ * Token configuration hook - per-token height aggregation override
+ * Token配置钩子 - 单个Token的高度合并方式覆盖
+ */
+Hooks.on('renderTokenConfig', (app, html) => {
+  if (!game.user.isGM) return;
+
+  const current = foundry.utils.getProperty(app.document, `flags.${MODULE_ID}.heightAggregation`) || "";
+  const choices = {
+    "": game.i18n.localize("MAP_HEIGHT.TokenConfig.WorldDefault"),
+    ...getAggregationChoices()
+  };
+  const options = Object.entries(choices)
+    .map(([value, label]) => `<option value="${value}" ${value === current ? "selected" : ""}>${label}</option>`)
+    .join("");
+
+  const group = $(`
+    <div class="form-group">
+      <label>${game.i18n.localize("MAP_HEIGHT.TokenConfig.HeightAggregation")}</label>
+      <select name="flags.${MODULE_ID}.heightAggregation">${options}</select>
+      <p class="hint">${game.i18n.localize("MAP_HEIGHT.TokenConfig.HeightAggregationHint")}</p>
+    </div>
+  `);
+
+  html.find('.tab[data-tab="identity"]').append(group);
+  app.setPosition({ height: "auto" });
+});
+
+/**
+ * Token HUD hook - edit the token's height above the ground
+ * Token HUD钩子 - 编辑Token离地的高度
+ */
+Hooks.on('renderTokenHUD', (hud, html) => {
+  const tokenDocument = hud.object?.document;
+  const tokenAutomation = MapHeightEditor.tokenAutomation;
+  if (!tokenDocument?.isOwner || !tokenAutomation) return;
+
+  const offset = tokenAutomation.getHeightOffset(tokenDocument);
+  const control = $(`
+    <div class="map-height-offset" title="${game.i18n.localize("MAP_HEIGHT.TokenHUD.HeightOffset")}">
+      <i class="fas fa-mountain"></i>
+      <input type="text" value="${offset}" data-dtype="Number">
+    </div>
+  `);
+
+  // Not an ".attribute" input, so the HUD's own attribute handler leaves it alone
+  // 不使用 ".attribute" 输入框，避免HUD自身的属性处理器处理它
+  const input = control.find('input');
+  input.on('keydown', event => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      event.currentTarget.blur();
+    }
+  });
+  input.on('change', async event => {
+    const applied = await tokenAutomation.setHeightOffset(tokenDocument, event.currentTarget.value);
+    if (!applied) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Notifications.InvalidHeight"));
+      event.currentTarget.value = tokenAutomation.getHeightOffset(tokenDocument);
+    }
+  });
+
+  html.find('.col.left').append(control);
+});
+
+/**
+ * Get the localized height aggregation choices
+ * 获取本地化的高度合并方式选项
+ */
+function getAggregationChoices() {
+  return {
+    max: game.i18n.localize("MAP_HEIGHT.Settings.HeightAggregation.Max"),
+    min: game.i18n.localize("MAP_HEIGHT.Settings.HeightAggregation.Min"),
+    center: game.i18n.localize("MAP_HEIGHT.Settings.HeightAggregation.Center"),
+    mean: game.i18n.localize("MAP_HEIGHT.Settings.HeightAggregation.Mean"),
+    majority: game.i18n.localize("MAP_HEIGHT.Settings.HeightAggregation.Majority")
+  };
+}
+
 /**
  * Register custom canvas layer
  * 注册自定义canvas层
@@ -129,6 +302,89 @@ function registerModuleSettings() {
     default: true
   });
 
+  // Flying detection - only tokens flying right now, or every token able to fly
+  game.settings.register(MODULE_ID, "flyingDetection", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.FlyingDetection.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.FlyingDetection.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      current: game.i18n.localize("MAP_HEIGHT.Settings.FlyingDetection.Current"),
+      capable: game.i18n.localize("MAP_HEIGHT.Settings.FlyingDetection.Capable")
+    },
+    default: "current"
+  });
+
+  // Keywords matched against status ids and effect names
+  game.settings.register(MODULE_ID, "flyingKeywords", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.FlyingKeywords.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.FlyingKeywords.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "fly, flying, hover, hovering, levitate, levitating"
+  });
+
+  // Exceptions shared by every scene (scene exceptions live in the scene flags)
+  game.settings.register(MODULE_ID, "worldExceptions", {
+    scope: "world",
+    config: false,
+    type: Array,
+    default: []
+  });
+
+  // Terrain following - sample heights along the movement path
+  game.settings.register(MODULE_ID, "terrainFollowing", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.TerrainFollowing.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.TerrainFollowing.Hint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // Multi-cell token height aggregation (tokens can override it in their configuration)
+  game.settings.register(MODULE_ID, "heightAggregation", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.HeightAggregation.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.HeightAggregation.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: getAggregationChoices(),
+    default: "max",
+    onChange: () => MapHeightEditor.tokenAutomation?.onCanvasReady()
+  });
+
+  // Gridless token sampling (token center or footprint)
+  game.settings.register(MODULE_ID, "gridlessSampling", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.GridlessSampling.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.GridlessSampling.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      center: game.i18n.localize("MAP_HEIGHT.Settings.GridlessSampling.Center"),
+      footprint: game.i18n.localize("MAP_HEIGHT.Settings.GridlessSampling.Footprint")
+    },
+    default: "center"
+  });
+
+  // Storage format for grid heights in scene flags
+  game.settings.register(MODULE_ID, "storageFormat", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.StorageFormat.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.StorageFormat.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      auto: game.i18n.localize("MAP_HEIGHT.Settings.StorageFormat.Auto"),
+      sparse: game.i18n.localize("MAP_HEIGHT.Settings.StorageFormat.Sparse"),
+      compact: game.i18n.localize("MAP_HEIGHT.Settings.StorageFormat.Compact")
+    },
+    default: "auto"
+  });
+
   // Height visualization opacity
   game.settings.register(MODULE_ID, "overlayOpacity", {
     name: game.i18n.localize("MAP_HEIGHT.Settings.OverlayOpacity.Name"),
@@ -163,6 +419,75 @@ function registerModuleSettings() {
     default: true
   });
 
+  // Largest brush radius reachable with the [ / ] shortcuts and brush display
+  game.settings.register(MODULE_ID, "brushMaxRadius", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.BrushMaxRadius.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.BrushMaxRadius.Hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    range: {
+      min: 2,
+      max: 25,
+      step: 1
+    },
+    default: 10
+  });
+
+  // Gradient rounding step (e.g. 5 for 5 ft increments)
+  game.settings.register(MODULE_ID, "gradientStep", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.GradientStep.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.GradientStep.Hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 1
+  });
+
+  // Flood fill connectivity (4 or 8 neighbors on square grids)
+  game.settings.register(MODULE_ID, "floodFillConnectivity", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.FloodFillConnectivity.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.FloodFillConnectivity.Hint"),
+    scope: "client",
+    config: true,
+    type: String,
+    choices: {
+      "4": game.i18n.localize("MAP_HEIGHT.Settings.FloodFillConnectivity.Four"),
+      "8": game.i18n.localize("MAP_HEIGHT.Settings.FloodFillConnectivity.Eight")
+    },
+    default: "4"
+  });
+
+  // Flood fill safety cap
+  game.settings.register(MODULE_ID, "floodFillLimit", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.FloodFillLimit.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.FloodFillLimit.Hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    range: {
+      min: 100,
+      max: 20000,
+      step: 100
+    },
+    default: 5000
+  });
+
+  // Undo/redo history depth per scene
+  game.settings.register(MODULE_ID, "historyDepth", {
+    name: game.i18n.localize("MAP_HEIGHT.Settings.HistoryDepth.Name"),
+    hint: game.i18n.localize("MAP_HEIGHT.Settings.HistoryDepth.Hint"),
+    scope: "client",
+    config: true,
+    type: Number,
+    range: {
+      min: 0,
+      max: 200,
+      step: 10
+    },
+    default: 50
+  });
+
   // Keyboard shortcuts enabled
   game.settings.register(MODULE_ID, "keyboardShortcutsEnabled", {
     name: game.i18n.localize("MAP_HEIGHT.Settings.KeyboardShortcuts.Name"),
@@ -207,8 +532,9 @@ class DataManagementConfig extends FormApplication {
     const heightManager = window.MapHeightEditor?.heightManager;
     const stats = heightManager ? {
       totalGrids: heightManager.gridHeights.size,
-      exceptions: heightManager.exceptTokens.size
-    } : { totalGrids: 0, exceptions: 0 };
+      totalRegions: heightManager.regions.length,
+      exceptions: heightManager.exceptions.length
+    } : { totalGrids: 0, totalRegions: 0, exceptions: 0 };
 
     return {
       ...super.getData(options),
@@ -221,7 +547,12 @@ class DataManagementConfig extends FormApplication {
 
     html.find('[data-action="export"]').click(() => this._onExport());
     html.find('[data-action="import"]').click(() => this._onImport());
+    html.find('[data-action="import-image"]').click(() => this._onImportImage());
+    html.find('[data-action="export-image"]').click(() => this._onExportImage());
+    html.find('[data-action="export-csv"]').click(() => this._onExportCsv());
+    html.find('[data-action="copy-scene"]').click(() => this._onCopyScene());
     html.find('[data-action="clear"]').click(() => this._onClear());
+    html.find('[data-action="generate"]').click(() => this._onGenerate());
   }
 
   async _onExport() {
@@ -235,10 +566,24 @@ class DataManagementConfig extends FormApplication {
     ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Notifications.DataExported"));
   }
 
+  async _onExportImage() {
+    const heightManager = window.MapHeightEditor?.heightManager;
+    if (!heightManager || !MapHeightEditor.HeightmapIO) return;
+
+    await MapHeightEditor.HeightmapIO.promptImageExport(heightManager);
+  }
+
+  _onExportCsv() {
+    const heightManager = window.MapHeightEditor?.heightManager;
+    if (!heightManager || !MapHeightEditor.HeightmapIO) return;
+
+    MapHeightEditor.HeightmapIO.exportCsvFile(heightManager);
+  }
+
   async _onImport() {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json';
+    input.accept = '.json,.csv';
 
     input.onchange = async (e) => {
       const file = e.target.files[0];
@@ -246,17 +591,21 @@ class DataManagementConfig extends FormApplication {
 
       try {
         const text = await file.text();
-        const data = JSON.parse(text);
-
         const heightManager = window.MapHeightEditor?.heightManager;
         if (!heightManager) return;
 
-        const success = await heightManager.importData(data);
-        if (success) {
-          ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Notifications.DataImported"));
+        // CSV height matrices are parsed into grid heights first
+        // CSV高度矩阵先解析为网格高度
+        if (file.name.toLowerCase().endsWith('.csv')) {
+          if (await MapHeightEditor.HeightmapIO?.importCsv(heightManager, text, file.name)) {
+            this.render();
+          }
+          return;
+        }
+
+        const data = JSON.parse(text);
+        if (await MapHeightEditor.HeightmapIO?.importJson(heightManager, data, file.name)) {
           this.render();
-        } else {
-          ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Notifications.DataImportFailed"));
         }
       } catch (error) {
         console.error("Error importing height data:", error);
@@ -267,6 +616,24 @@ class DataManagementConfig extends FormApplication {
     input.click();
   }
 
+  async _onImportImage() {
+    const heightManager = window.MapHeightEditor?.heightManager;
+    if (!heightManager || !MapHeightEditor.HeightmapIO) return;
+
+    if (await MapHeightEditor.HeightmapIO.promptImageImport(heightManager)) {
+      this.render();
+    }
+  }
+
+  async _onCopyScene() {
+    const heightManager = window.MapHeightEditor?.heightManager;
+    if (!heightManager || !MapHeightEditor.HeightmapIO) return;
+
+    if (await MapHeightEditor.HeightmapIO.promptSceneCopy(heightManager)) {
+      this.render();
+    }
+  }
+
   async _onClear() {
     const confirmed = await Dialog.confirm({
       title: game.i18n.localize("MAP_HEIGHT.Dialog.ClearConfirm.Title"),
@@ -279,13 +646,20 @@ class DataManagementConfig extends FormApplication {
       const heightManager = window.MapHeightEditor?.heightManager;
       if (!heightManager) return;
 
-      heightManager.resetData();
-      await heightManager.saveHeightData();
+      await heightManager.clearAllData();
       ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Notifications.AllHeightsCleared"));
       this.render();
     }
   }
 
+  async _onGenerate() {
+    const heightManager = window.MapHeightEditor?.heightManager;
+    if (!heightManager || !MapHeightEditor.HeightGenerator) return;
+
+    await new MapHeightEditor.HeightGenerator(heightManager).prompt();
+    this.render();
+  }
+
   async _updateObject(event, formData) {
     // No form data to process
   }
@@ -301,6 +675,32 @@ async function loadModuleComponents() {
     const HeightManager = await import('./height-manager.js');
     MapHeightEditor.HeightManager = HeightManager.default;
 
+    // Import migration manager
+    const MigrationManager = await import('./migration-manager.js');
+    MapHeightEditor.MigrationManager = MigrationManager.default;
+
+    // Import height generator
+    const HeightGenerator = await import('./height-generator.js');
+    MapHeightEditor.HeightGenerator = HeightGenerator.default;
+
+    // Import heightmap image import/export
+    const HeightmapIO = await import('./heightmap-io.js');
+    MapHeightEditor.HeightmapIO = HeightmapIO.default;
+
+    // Import history manager
+    const HistoryManager = await import('./history-manager.js');
+    MapHeightEditor.HistoryManager = HistoryManager.default;
+
+    // Import skip rules and expose the registry to other modules
+    const SkipRules = await import('./skip-rules.js');
+    MapHeightEditor.SkipRules = SkipRules.default;
+    MapHeightEditor.registerSkipRule = (rule) => SkipRules.default.register(rule);
+    MapHeightEditor.unregisterSkipRule = (id) => SkipRules.default.unregister(id);
+
+    // Import socket relay
+    const SocketRelay = await import('./socket-relay.js');
+    MapHeightEditor.SocketRelay = SocketRelay.default;
+
     // Import token automation
     const TokenAutomation = await import('./token-automation.js');
     MapHeightEditor.TokenAutomation = TokenAutomation.default;
@@ -309,6 +709,10 @@ async function loadModuleComponents() {
     const HeightOverlay = await import('./ui/height-overlay.js');
     MapHeightEditor.HeightOverlay = HeightOverlay.default;
 
+    // Import selection tool
+    const SelectionTool = await import('./ui/selection-tool.js');
+    MapHeightEditor.SelectionTool = SelectionTool.default;
+
     // Import brush display
     const BrushDisplay = await import('./ui/brush-display.js');
     MapHeightEditor.BrushDisplay = BrushDisplay.default;
@@ -329,14 +733,14 @@ async function loadModuleComponents() {
 }
 
 /**
- * Initialize GM-specific interface elements
- * 初始化GM专用界面元素
+ * Initialize components shared by GM and player clients
+ * 初始化GM和玩家客户端共用的组件
  */
-function initializeGMInterface() {
+function initializeCoreComponents() {
   // Check if components are loaded
   if (!MapHeightEditor.HeightManager) {
     console.error(`${MODULE_TITLE} | HeightManager class not loaded!`);
-    return;
+    return false;
   }
 
   // Initialize height manager
@@ -345,15 +749,36 @@ function initializeGMInterface() {
 
   if (!initialized) {
     console.error(`${MODULE_TITLE} | Failed to initialize height manager`);
-    return;
+    return false;
   }
 
   // Initialize token automation
   MapHeightEditor.tokenAutomation = new MapHeightEditor.TokenAutomation(MapHeightEditor.heightManager);
 
+  // Initialize socket relay - one active GM applies elevation updates requested by other clients
+  MapHeightEditor.socketRelay = new MapHeightEditor.SocketRelay(MapHeightEditor.tokenAutomation);
+  MapHeightEditor.tokenAutomation.setRelay(MapHeightEditor.socketRelay);
+
+  return true;
+}
+
+/**
+ * Initialize GM-specific interface elements
+ * 初始化GM专用界面元素
+ */
+function initializeGMInterface() {
+  // Initialize undo/redo history
+  MapHeightEditor.historyManager = new MapHeightEditor.HistoryManager(MapHeightEditor.heightManager);
+
   // Initialize height overlay
   MapHeightEditor.heightOverlay = new MapHeightEditor.HeightOverlay(MapHeightEditor.heightManager);
 
+  // Initialize selection tool (its clipboard is shared by every scene)
+  MapHeightEditor.selectionTool = new MapHeightEditor.SelectionTool(
+    MapHeightEditor.heightManager,
+    MapHeightEditor.heightOverlay
+  );
+
   // Initialize brush display
   MapHeightEditor.brushDisplay = new MapHeightEditor.BrushDisplay();
 
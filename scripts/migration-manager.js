@@ -0,0 +1,290 @@
+/**
+ * FVTT Map Height Editor - Migration Manager
+ * Versioned schema migrations for heightData flags and exported JSON
+ * 迁移管理器 - heightData标志和导出JSON的版本化结构迁移
+ */
+
+import GridCoordinates from './grid-coordinates.js';
+
+const MODULE_ID = "fvtt-map-height";
+
+/**
+ * MigrationManager class - upgrades height data step by step to the current version
+ * 迁移管理器类 - 将高度数据逐步升级到当前版本
+ *
+ * Each migration upgrades data from exactly one version to the next.
+ * Data written before versions were checked (no version field) is treated as 1.0.0.
+ */
+export default class MigrationManager {
+
+  static CURRENT_VERSION = "1.3.0";
+
+  static BASE_VERSION = "1.0.0";
+
+  /**
+   * Registered migrations, keyed by the version they upgrade from
+   * 已注册的迁移，按其升级的起始版本索引
+   */
+  static migrations = new Map();
+
+  /**
+   * Register a migration step
+   * 注册一个迁移步骤
+   * @param {object} migration
+   * @param {string} migration.from       Version the step accepts
+   * @param {string} migration.to         Version the step produces
+   * @param {string} migration.label      Localization key describing the step for the report
+   * @param {Function} migration.migrate  (data, context) => upgraded data, must not mutate its input;
+   *                                      context holds the scene the data belongs to, when known
+   */
+  static registerMigration({ from, to, label, migrate }) {
+    if (!foundry.utils.isNewerVersion(to, from)) {
+      throw new Error(`${MODULE_ID} | Migration ${from} -> ${to} must move to a newer version`);
+    }
+    this.migrations.set(from, { from, to, label, migrate });
+  }
+
+  /**
+   * Get the version of a height data object
+   * 获取高度数据对象的版本
+   */
+  static getVersion(data) {
+    return typeof data?.version === "string" ? data.version : this.BASE_VERSION;
+  }
+
+  /**
+   * Check whether data was written by a newer version of the module
+   * 检查数据是否由更新版本的模块写入
+   */
+  static isFromNewerVersion(data) {
+    return foundry.utils.isNewerVersion(this.getVersion(data), this.CURRENT_VERSION);
+  }
+
+  /**
+   * Check whether data needs to be migrated
+   * 检查数据是否需要迁移
+   */
+  static needsMigration(data) {
+    return foundry.utils.isNewerVersion(this.CURRENT_VERSION, this.getVersion(data));
+  }
+
+  /**
+   * Upgrade height data to the current version
+   * 将高度数据升级到当前版本
+   * @param {object} data  Flag data or imported JSON
+   * @param {object} [context]
+   * @param {Scene} [context.scene]  Scene the data belongs to, needed by geometry dependent steps
+   * @returns {{data: object, from: string, to: string, steps: object[]}}
+   */
+  static migrate(data, context = {}) {
+    const from = this.getVersion(data);
+    const steps = [];
+    let migrated = foundry.utils.deepClone(data ?? {});
+    let version = from;
+
+    while (foundry.utils.isNewerVersion(this.CURRENT_VERSION, version)) {
+      const migration = this.migrations.get(version);
+      if (!migration) {
+        throw new Error(`${MODULE_ID} | No migration registered from version ${version}`);
+      }
+
+      migrated = migration.migrate(migrated, context);
+      migrated.version = migration.to;
+      steps.push({ from: migration.from, to: migration.to, label: migration.label });
+      version = migration.to;
+    }
+
+    return { data: migrated, from, to: version, steps };
+  }
+
+  /**
+   * Migrate the heightData flags of every scene in the world
+   * Should only run on one client, the active GM
+   * 迁移世界中所有场景的heightData标志
+   * 只应在一个客户端（活跃GM）上运行
+   * @returns {Promise<object[]>}  Report entries for migrated and failed scenes
+   */
+  static async migrateWorld() {
+    const report = [];
+
+    for (const scene of game.scenes) {
+      const stored = scene.getFlag(MODULE_ID, "heightData");
+      if (!stored || !this.needsMigration(stored)) continue;
+
+      try {
+        const result = this.migrate(stored, { scene });
+        await scene.setFlag(MODULE_ID, "heightData", this.buildReplacement(stored, result.data));
+        report.push({ scene: scene.name, from: result.from, to: result.to, steps: result.steps });
+      } catch (error) {
+        console.error(`${MODULE_ID} | Error migrating height data for scene ${scene.name}:`, error);
+        report.push({ scene: scene.name, from: this.getVersion(stored), error: error.message });
+      }
+    }
+
+    if (report.length > 0) {
+      console.log(`${MODULE_ID} | Height data migration report:`, report);
+      this.showReport(report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Build a setFlag payload that replaces the stored data
+   * setFlag merges objects, so keys missing from the new data are deleted explicitly
+   * 构建替换已存储数据的setFlag负载
+   * setFlag会合并对象，因此新数据中缺失的键需要显式删除
+   */
+  static buildReplacement(stored, data) {
+    const replacement = {};
+
+    for (const [key, value] of Object.entries(data)) {
+      const previous = stored[key];
+      replacement[key] = foundry.utils.getType(value) === "Object" && foundry.utils.getType(previous) === "Object"
+        ? this.buildReplacement(previous, value)
+        : value;
+    }
+
+    for (const key of Object.keys(stored)) {
+      if (!(key in data)) {
+        replacement[`-=${key}`] = null;
+      }
+    }
+
+    return replacement;
+  }
+
+  /**
+   * Show the GM a summary of the migrated scenes
+   * 向GM显示已迁移场景的摘要
+   */
+  static showReport(report) {
+    const failed = report.filter(entry => entry.error);
+    const migrated = report.length - failed.length;
+
+    const rows = report.map(entry => {
+      const result = entry.error
+        ? `<span class="error">${game.i18n.format("MAP_HEIGHT.Migration.Failed", { error: entry.error })}</span>`
+        : entry.steps.map(step => `${step.from} → ${step.to}: ${game.i18n.localize(step.label)}`).join("<br>");
+      return `<tr><td>${Handlebars.escapeExpression(entry.scene)}</td><td>${entry.from}</td><td>${result}</td></tr>`;
+    }).join("");
+
+    const content = `
+      <div class="map-height-migration-report">
+        <p>${game.i18n.format("MAP_HEIGHT.Migration.Summary", { count: migrated, version: this.CURRENT_VERSION })}</p>
+        <table>
+          <thead>
+            <tr>
+              <th>${game.i18n.localize("MAP_HEIGHT.Migration.Scene")}</th>
+              <th>${game.i18n.localize("MAP_HEIGHT.Migration.FromVersion")}</th>
+              <th>${game.i18n.localize("MAP_HEIGHT.Migration.Changes")}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+
+    new Dialog({
+      title: game.i18n.localize("MAP_HEIGHT.Migration.Title"),
+      content,
+      buttons: {
+        close: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("Close")
+        }
+      },
+      default: "close"
+    }).render(true);
+
+    if (failed.length > 0) {
+      ui.notifications.error(game.i18n.format("MAP_HEIGHT.Migration.FailedScenes", { count: failed.length }));
+    }
+  }
+}
+
+/**
+ * 1.0.0 -> 1.1.0: record the storage format and normalize the sparse grid heights
+ * 1.0.0 -> 1.1.0：记录存储格式并规范化稀疏网格高度
+ */
+MigrationManager.registerMigration({
+  from: "1.0.0",
+  to: "1.1.0",
+  label: "MAP_HEIGHT.Migration.Steps.StorageFormat",
+  migrate(data) {
+    const gridHeights = {};
+    for (const [key, height] of Object.entries(data.gridHeights || {})) {
+      const value = Number(height);
+      if (/^-?\d+,-?\d+$/.test(key) && Number.isFinite(value)) {
+        gridHeights[key] = value;
+      }
+    }
+
+    return {
+      ...data,
+      format: "sparse",
+      gridHeights,
+      regions: Array.isArray(data.regions) ? data.regions : [],
+      exceptTokens: Array.isArray(data.exceptTokens) ? data.exceptTokens : []
+    };
+  }
+});
+
+/**
+ * 1.1.0 -> 1.2.0: token id exceptions become scoped exceptions
+ * 1.1.0 -> 1.2.0：Token id例外转换为带范围的例外
+ */
+MigrationManager.registerMigration({
+  from: "1.1.0",
+  to: "1.2.0",
+  label: "MAP_HEIGHT.Migration.Steps.ExceptionScopes",
+  migrate(data) {
+    const { exceptTokens, ...rest } = data;
+    const tokenIds = Array.isArray(exceptTokens) ? exceptTokens.filter(id => typeof id === "string" && id) : [];
+
+    return {
+      ...rest,
+      exceptions: [
+        ...(Array.isArray(data.exceptions) ? data.exceptions : []),
+        ...tokenIds.map(id => ({ scope: "token", id }))
+      ]
+    };
+  }
+});
+
+/**
+ * 1.2.0 -> 1.3.0: grid 0,0 of square grids follows the background shift
+ * Grid keys are moved so the stored heights stay on the same cells; hex keys already used the shifted scene origin
+ * 1.2.0 -> 1.3.0：方形网格的0,0网格跟随背景偏移
+ * 移动网格键使已存储的高度保持在原来的格子上；六边形网格键已使用偏移后的场景原点
+ */
+MigrationManager.registerMigration({
+  from: "1.2.0",
+  to: "1.3.0",
+  label: "MAP_HEIGHT.Migration.Steps.GridShift",
+  migrate(data, { scene } = {}) {
+    const grid = scene?.grid;
+    if (!grid?.isSquare) return { ...data };
+
+    // Cells between the old origin (the first cell after the padding) and the origin of the coordinate service
+    // 旧原点（padding之后的第一个格子）与坐标服务原点之间的格数
+    const { origin } = new GridCoordinates(scene);
+    const padding = scene.padding || 0;
+    const deltaX = origin.j - Math.ceil((scene.width * padding) / grid.size);
+    const deltaY = origin.i - Math.ceil((scene.height * padding) / grid.size);
+    if (deltaX === 0 && deltaY === 0) return { ...data };
+
+    const migrated = { ...data };
+    if (data.raster) {
+      migrated.raster = { ...data.raster, x: data.raster.x - deltaX, y: data.raster.y - deltaY };
+    }
+    if (data.gridHeights) {
+      migrated.gridHeights = {};
+      for (const [key, height] of Object.entries(data.gridHeights)) {
+        const [x, y] = key.split(',').map(Number);
+        migrated.gridHeights[`${x - deltaX},${y - deltaY}`] = height;
+      }
+    }
+    return migrated;
+  }
+});
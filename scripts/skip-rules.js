@@ -0,0 +1,212 @@
+/**
+ * FVTT Map Height Editor - Skip Rules
+ * Registry of rules deciding which tokens are flying and keep their elevation
+ * 跳过规则 - 判断哪些Token处于飞行状态并保持其高度的规则注册表
+ */
+
+const MODULE_ID = "fvtt-map-height";
+
+/**
+ * SkipRules class - pluggable flying/hover detection
+ * 跳过规则类 - 可插拔的飞行/悬浮检测
+ *
+ * A rule is { id, test, system, type }:
+ * - test(tokenDocument, actor, context) returns true when the token should be skipped
+ * - system limits the rule to one game system id (null for every system)
+ * - type "current" means the creature is flying right now,
+ *   "capable" means it merely can fly and only applies when the flyingDetection setting is "capable"
+ * context carries { keywords } - the lower-case keywords from the flyingKeywords setting
+ */
+export default class SkipRules {
+
+  static rules = new Map();
+
+  /**
+   * Register a skip rule, replacing any rule with the same id
+   * 注册跳过规则，替换具有相同id的规则
+   */
+  static register({ id, test, system = null, type = "current" }) {
+    if (!id || typeof test !== "function") {
+      throw new Error(`${MODULE_ID} | A skip rule needs an id and a test function`);
+    }
+    if (type !== "current" && type !== "capable") {
+      throw new Error(`${MODULE_ID} | Unknown skip rule type: ${type}`);
+    }
+    this.rules.set(id, { id, test, system, type });
+  }
+
+  /**
+   * Remove a skip rule
+   * 移除跳过规则
+   */
+  static unregister(id) {
+    return this.rules.delete(id);
+  }
+
+  /**
+   * Get the configured flying keywords
+   * 获取配置的飞行关键字
+   */
+  static getKeywords() {
+    return game.settings.get(MODULE_ID, "flyingKeywords")
+      .split(",")
+      .map(keyword => keyword.trim().toLowerCase())
+      .filter(keyword => keyword.length > 0);
+  }
+
+  /**
+   * Find the first rule matching a token
+   * 查找第一个匹配Token的规则
+   * @returns {string|null}  Id of the matching rule
+   */
+  static match(tokenDocument) {
+    const actor = tokenDocument.actor;
+    const includeCapable = game.settings.get(MODULE_ID, "flyingDetection") === "capable";
+    const context = { keywords: this.getKeywords() };
+
+    for (const rule of this.rules.values()) {
+      if (rule.system && rule.system !== game.system.id) continue;
+      if (rule.type === "capable" && !includeCapable) continue;
+
+      try {
+        if (rule.test(tokenDocument, actor, context)) {
+          return rule.id;
+        }
+      } catch (error) {
+        console.error(`${MODULE_ID} | Skip rule "${rule.id}" failed:`, error);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a name contains one of the keywords as a whole word
+   * Words are runs of letters and digits, so "fly" matches "Fly (Spell)" but not "Butterfly"
+   * 检查名称是否以完整单词的形式包含某个关键字
+   * 单词为连续的字母和数字，因此 "fly" 匹配 "Fly (Spell)" 但不匹配 "Butterfly"
+   */
+  static matchesKeyword(name, keywords) {
+    const value = (name || "").toLowerCase();
+    if (value.length === 0) return false;
+
+    return keywords.some(keyword => {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, "u").test(value);
+    });
+  }
+
+  /**
+   * Get the file name of an image path, without folders
+   * 获取图片路径的文件名（不含文件夹）
+   */
+  static getFileName(path) {
+    return (path || "").split(/[\\/]/).pop();
+  }
+}
+
+/**
+ * Status effect ids (token or actor) equal to a keyword
+ * 与关键字相同的状态效果id（Token或Actor）
+ */
+SkipRules.register({
+  id: "status-effects",
+  test(tokenDocument, actor, { keywords }) {
+    const statuses = actor?.statuses ?? new Set();
+    return keywords.some(keyword => statuses.has(keyword) || tokenDocument.hasStatusEffect?.(keyword));
+  }
+});
+
+/**
+ * Active effects whose name or image file name contains a keyword
+ * Only the file name counts, so icons in a "flying/" folder do not match
+ * Uses the actor's effects, tokenDocument.effects is deprecated in v12
+ * 名称或图标文件名包含关键字的激活效果
+ * 只检查文件名，因此 "flying/" 文件夹中的图标不会匹配
+ * 使用Actor的效果，tokenDocument.effects 在v12中已弃用
+ */
+SkipRules.register({
+  id: "effect-keywords",
+  test(tokenDocument, actor, { keywords }) {
+    for (const effect of actor?.effects ?? []) {
+      if (effect.active === false) continue;
+      if (SkipRules.matchesKeyword(effect.name, keywords) || SkipRules.matchesKeyword(SkipRules.getFileName(effect.img), keywords)) {
+        return true;
+      }
+    }
+    return false;
+  }
+});
+
+/**
+ * Custom flying property some systems and modules set
+ * 某些系统和模块设置的自定义飞行属性
+ */
+SkipRules.register({
+  id: "flying-attribute",
+  test(tokenDocument, actor) {
+    return actor?.system?.attributes?.flying === true;
+  }
+});
+
+/**
+ * D&D 5e - fly speed
+ * D&D 5e - 飞行速度
+ */
+SkipRules.register({
+  id: "dnd5e-fly-speed",
+  system: "dnd5e",
+  type: "capable",
+  test(tokenDocument, actor) {
+    return parseFloat(actor?.system?.attributes?.movement?.fly) > 0;
+  }
+});
+
+/**
+ * PF2e - effects are items, and fly speeds live in otherSpeeds
+ * PF2e - 效果是物品，飞行速度位于otherSpeeds
+ */
+SkipRules.register({
+  id: "pf2e-effects",
+  system: "pf2e",
+  test(tokenDocument, actor, { keywords }) {
+    const effects = actor?.itemTypes?.effect ?? [];
+    return effects.some(effect => SkipRules.matchesKeyword(effect.name, keywords));
+  }
+});
+
+SkipRules.register({
+  id: "pf2e-fly-speed",
+  system: "pf2e",
+  type: "capable",
+  test(tokenDocument, actor) {
+    const speeds = actor?.system?.attributes?.speed?.otherSpeeds ?? [];
+    return speeds.some(speed => speed.type === "fly" && Number(speed.value ?? speed.total) > 0);
+  }
+});
+
+/**
+ * SWADE - flying pace
+ * SWADE - 飞行速度
+ */
+SkipRules.register({
+  id: "swade-fly-pace",
+  system: "swade",
+  type: "capable",
+  test(tokenDocument, actor) {
+    return Number(actor?.system?.pace?.fly) > 0;
+  }
+});
+
+/**
+ * Lancer - mechs and NPCs gain flight through systems and traits named after it
+ * Lancer - 机甲和NPC通过以飞行命名的系统和特性获得飞行能力
+ */
+SkipRules.register({
+  id: "lancer-flight",
+  system: "lancer",
+  type: "capable",
+  test(tokenDocument, actor) {
+    return (actor?.items ?? []).some(item => /\bflight\b|\bflying\b/i.test(item.name || ""));
+  }
+});
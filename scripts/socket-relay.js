@@ -0,0 +1,179 @@
+/**
+ * FVTT Map Height Editor - Socket Relay
+ * Routes token elevation recalculation to a single elected GM
+ * Socket中继 - 将Token高度重新计算路由到唯一选定的GM
+ */
+
+const MODULE_ID = "fvtt-map-height";
+const SOCKET_NAME = `module.${MODULE_ID}`;
+
+/**
+ * SocketRelay class - elects the active GM as the only client applying elevation updates
+ * Socket中继类 - 选定活跃GM作为唯一应用高度更新的客户端
+ *
+ * - The active GM (game.users.activeGM, identical on every client) applies its own changes directly
+ * - Every other client sends a recalculation request to the active GM through the module socket
+ * - The GM declines requests for scenes it is not viewing, and the requester then applies the update itself
+ * - Without a connected GM, or without an answer in time, the requesting client falls back to a local update
+ */
+export default class SocketRelay {
+
+  constructor(tokenAutomation) {
+    this.tokenAutomation = tokenAutomation;
+    this.pendingRequests = new Map(); // Map of request id -> { sceneId, tokens, timer }
+    this.responseTimeout = 2000; // Milliseconds to wait for the GM before falling back
+
+    this.initialize();
+  }
+
+  /**
+   * Initialize the socket listener
+   * 初始化socket监听
+   */
+  initialize() {
+    game.socket.on(SOCKET_NAME, this.onMessage.bind(this));
+  }
+
+  /**
+   * Get the GM currently responsible for elevation updates
+   * 获取当前负责高度更新的GM
+   */
+  get responsibleGM() {
+    return game.users.activeGM ?? null;
+  }
+
+  /**
+   * Check whether this client applies elevation updates for changes it did not make
+   * 检查本客户端是否负责应用非本地产生的高度更新
+   */
+  isResponsibleGM() {
+    return this.responsibleGM?.isSelf ?? false;
+  }
+
+  /**
+   * Request an elevation recalculation for tokens changed on this client
+   * 为本客户端修改的Token请求重新计算高度
+   * @param {TokenDocument[]} tokenDocuments
+   */
+  requestUpdate(tokenDocuments) {
+    const gm = this.responsibleGM;
+
+    // The responsible GM, or any client while no GM is connected, updates locally
+    // 负责的GM，或没有GM在线时的任意客户端，直接在本地更新
+    if (!gm || gm.isSelf) {
+      tokenDocuments.forEach(tokenDocument => this.tokenAutomation.queueTokenUpdate(tokenDocument));
+      return;
+    }
+
+    const sceneId = canvas.scene?.id;
+    const tokens = tokenDocuments.map(tokenDocument => ({
+      id: tokenDocument.id,
+      x: tokenDocument._mapHeightFinalX ?? tokenDocument.x,
+      y: tokenDocument._mapHeightFinalY ?? tokenDocument.y,
+      path: tokenDocument._mapHeightPath ?? null
+    }));
+    tokenDocuments.forEach(tokenDocument => {
+      delete tokenDocument._mapHeightFinalX;
+      delete tokenDocument._mapHeightFinalY;
+      delete tokenDocument._mapHeightPath;
+    });
+
+    const requestId = foundry.utils.randomID();
+    const timer = setTimeout(() => this.resolveRequest(requestId, false), this.responseTimeout);
+    this.pendingRequests.set(requestId, { sceneId, tokens, timer });
+
+    game.socket.emit(SOCKET_NAME, {
+      action: "requestUpdate",
+      requestId,
+      senderId: game.user.id,
+      recipientId: gm.id,
+      sceneId,
+      tokens
+    });
+  }
+
+  /**
+   * Handle an incoming socket message
+   * 处理收到的socket消息
+   */
+  onMessage(message) {
+    if (message?.recipientId !== game.user.id) return;
+
+    switch (message.action) {
+      case "requestUpdate":
+        this.onUpdateRequested(message);
+        break;
+      case "response":
+        this.resolveRequest(message.requestId, message.accepted);
+        break;
+    }
+  }
+
+  /**
+   * Apply a recalculation request on the responsible GM
+   * 在负责的GM上执行重新计算请求
+   */
+  onUpdateRequested(message) {
+    // Only tokens on the scene this GM is viewing can be recalculated here
+    // 只能重新计算本GM当前查看场景中的Token
+    const accepted = this.isResponsibleGM() && canvas.scene?.id === message.sceneId;
+
+    if (accepted) {
+      for (const { id, x, y, path } of message.tokens) {
+        const tokenDocument = canvas.tokens.get(id)?.document;
+        if (!tokenDocument) continue;
+
+        tokenDocument._mapHeightFinalX = x;
+        tokenDocument._mapHeightFinalY = y;
+        if (path) tokenDocument._mapHeightPath = path;
+        this.tokenAutomation.queueTokenUpdate(tokenDocument);
+      }
+    }
+
+    game.socket.emit(SOCKET_NAME, {
+      action: "response",
+      requestId: message.requestId,
+      senderId: game.user.id,
+      recipientId: message.senderId,
+      accepted
+    });
+  }
+
+  /**
+   * Settle a pending request, updating locally unless the GM accepted it
+   * 结束待处理的请求，除非GM已接受，否则在本地更新
+   */
+  resolveRequest(requestId, accepted) {
+    const request = this.pendingRequests.get(requestId);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.pendingRequests.delete(requestId);
+    if (accepted) return;
+
+    // Fallback - the requesting client updates the tokens it owns on the scene it is viewing
+    // 回退 - 请求方客户端更新其当前场景中自己拥有的Token
+    if (canvas.scene?.id !== request.sceneId) return;
+
+    console.log(`${MODULE_ID} | No GM applied the elevation update, updating locally`);
+    for (const { id, x, y, path } of request.tokens) {
+      const tokenDocument = canvas.tokens.get(id)?.document;
+      if (!tokenDocument?.isOwner) continue;
+
+      tokenDocument._mapHeightFinalX = x;
+      tokenDocument._mapHeightFinalY = y;
+      if (path) tokenDocument._mapHeightPath = path;
+      this.tokenAutomation.queueTokenUpdate(tokenDocument);
+    }
+  }
+
+  /**
+   * Cleanup resources
+   * 清理资源
+   */
+  destroy() {
+    game.socket.off(SOCKET_NAME);
+    this.pendingRequests.forEach(request => clearTimeout(request.timer));
+    this.pendingRequests.clear();
+  }
+}
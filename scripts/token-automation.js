@@ -3,6 +3,8 @@
  * Handles automatic token height updates based on grid positions
  */
 
+import SkipRules from './skip-rules.js';
+
 const MODULE_ID = "fvtt-map-height";
 
 /**
@@ -19,6 +21,10 @@ export default class TokenAutomation {
     // Throttling for performance
     this.lastUpdate = 0;
     this.updateThreshold = 100; // Minimum milliseconds between updates
+
+    // Socket relay routing updates to the responsible GM (see SocketRelay)
+    // 将更新路由到负责GM的Socket中继
+    this.relay = null;
     
     this.initialize();
   }
@@ -28,6 +34,9 @@ export default class TokenAutomation {
    * 初始化Token自动化钩子
    */
   initialize() {
+    // Hook for token movement (pre-update, captures the path origin)
+    Hooks.on('preUpdateToken', this.onPreTokenUpdate.bind(this));
+
     // Hook for token movement (post-update)
     Hooks.on('updateToken', this.onTokenUpdate.bind(this));
     
@@ -43,30 +52,60 @@ export default class TokenAutomation {
     // Module-specific hooks
     Hooks.on(`${MODULE_ID}.gridHeightChanged`, this.onGridHeightChanged.bind(this));
     Hooks.on(`${MODULE_ID}.areaHeightChanged`, this.onAreaHeightChanged.bind(this));
+    Hooks.on(`${MODULE_ID}.regionChanged`, this.onRegionChanged.bind(this));
+    Hooks.on(`${MODULE_ID}.dataReloaded`, this.onDataReloaded.bind(this));
+    Hooks.on(`${MODULE_ID}.dataImported`, this.onDataReplaced.bind(this));
+    Hooks.on(`${MODULE_ID}.dataCleared`, this.onDataReplaced.bind(this));
+    Hooks.on(`${MODULE_ID}.gridRemapped`, this.onDataReplaced.bind(this));
     
   }
 
+  /**
+   * Capture the movement path before a token moves (only fires on the moving client)
+   * Ruler moves are sent as one update per segment, so origin -> destination follows the measured path.
+   * Callers can pass their own waypoints (token top-left coordinates) in options["fvtt-map-height"].waypoints.
+   * 在Token移动前记录移动路径（只在发起移动的客户端触发）
+   * 标尺移动按每段发送一次更新，因此起点 -> 终点即为测量的路径
+   */
+  onPreTokenUpdate(tokenDocument, changes, options, userId) {
+    if (!('x' in changes || 'y' in changes)) return;
+    if (!game.settings.get(MODULE_ID, "terrainFollowing")) return;
+
+    const waypoints = options[MODULE_ID]?.waypoints || [];
+    tokenDocument._mapHeightPath = [
+      { x: tokenDocument.x, y: tokenDocument.y },
+      ...waypoints.map(point => ({ x: point.x, y: point.y }))
+    ];
+  }
+
   /**
    * Handle token updates (movement, etc.)
    * 处理Token更新（移动等）
    */
   async onTokenUpdate(tokenDocument, changes, options, userId) {
-    
-    // 深入分析 changes 对象的内容
-    if ('x' in changes || 'y' in changes) {
-      if ('x' in changes) {
-      }
-      if ('y' in changes) {
-      }
-    }
-    
     // Only process if auto-update is enabled
     if (!this.isEnabled || !game.settings.get(MODULE_ID, "autoUpdateTokens")) {
       return;
     }
 
-    // Only process position changes
-    if (!('x' in changes || 'y' in changes)) {
+    // A manual elevation change keeps the token's height above the ground as its offset
+    // A move made in the same update still follows the terrain below, with the new offset
+    // 手动修改高度时将Token离地高度保存为偏移量，同一更新中的移动仍按新偏移量跟随地形
+    if ('elevation' in changes && !options[MODULE_ID]?.automated && userId === game.user.id
+      && !this.shouldSkipToken(tokenDocument)) {
+      await this.storeHeightOffset(tokenDocument, changes.elevation);
+      if (!('x' in changes || 'y' in changes)) return;
+    }
+
+    // Only process position changes (or a changed height aggregation override or offset)
+    const flagsChanged = foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.heightAggregation`)
+      || foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.heightOffset`);
+    if (!('x' in changes || 'y' in changes || flagsChanged)) {
+      return;
+    }
+
+    // Only the client that moved the token routes the update
+    if (userId !== game.user.id) {
       return;
     }
 
@@ -108,10 +147,13 @@ export default class TokenAutomation {
       
     } else {
     }
+
+    // Close the movement path at the destination
+    tokenDocument._mapHeightPath?.push({ x: finalX, y: finalY });
     
     
-    // Add to update queue with throttling
-    this.queueTokenUpdate(tokenDocument);
+    // Add to update queue with throttling (through the responsible GM when connected)
+    this.requestTokenUpdate([tokenDocument]);
   }
 
   /**
@@ -130,6 +172,11 @@ export default class TokenAutomation {
       return;
     }
 
+    // Only the client that moved the token routes the update
+    if (user && user.id !== game.user.id) {
+      return;
+    }
+
     // Don't process if token is in exception list or has flying status
     if (this.shouldSkipToken(tokenDocument)) {
       return;
@@ -137,7 +184,7 @@ export default class TokenAutomation {
 
     
     // Add to update queue with throttling
-    this.queueTokenUpdate(tokenDocument);
+    this.requestTokenUpdate([tokenDocument]);
   }
 
   /**
@@ -153,12 +200,16 @@ export default class TokenAutomation {
       return;
     }
 
-    if (this.heightManager.isExceptionToken(tokenDocument.id)) {
+    if (userId !== game.user.id) {
+      return;
+    }
+
+    if (this.heightManager.isExceptionToken(tokenDocument)) {
       return;
     }
 
     // Update newly created token's height
-    this.queueTokenUpdate(tokenDocument);
+    this.requestTokenUpdate([tokenDocument]);
   }
 
   /**
@@ -167,7 +218,7 @@ export default class TokenAutomation {
    */
   onCanvasReady() {
     // Re-evaluate all tokens on scene change
-    if (this.isEnabled && game.user.isGM) {
+    if (this.isEnabled && game.user.isGM && this.isUpdateAuthority()) {
       this.updateAllTokens();
     }
   }
@@ -183,11 +234,7 @@ export default class TokenAutomation {
 
     // Find tokens on the changed grid and update them
     const tokensOnGrid = this.getTokensOnGrid(data.gridX, data.gridY);
-    tokensOnGrid.forEach(token => {
-      if (!this.heightManager.isExceptionToken(token.id)) {
-        this.queueTokenUpdate(token);
-      }
-    });
+    this.requestTokenUpdate(tokensOnGrid.filter(token => !this.heightManager.isExceptionToken(token)));
   }
 
   /**
@@ -216,9 +263,90 @@ export default class TokenAutomation {
     });
 
     // Queue all affected tokens for update
-    affectedTokens.forEach(token => {
-      this.queueTokenUpdate(token);
-    });
+    this.requestTokenUpdate(Array.from(affectedTokens));
+  }
+
+  /**
+   * Handle gridless region changes
+   * 处理无网格区域变化
+   */
+  onRegionChanged(data) {
+    if (!this.isEnabled || !game.settings.get(MODULE_ID, "autoUpdateTokens")) {
+      return;
+    }
+
+    // Regions can overlap, so re-evaluate every token on the scene
+    // 区域可能相互重叠，因此重新计算场景中的所有Token
+    const tokens = (canvas.tokens?.placeables || []).map(token => token.document);
+    this.requestTokenUpdate(tokens.filter(tokenDocument => !this.shouldSkipToken(tokenDocument)));
+  }
+
+  /**
+   * Handle height data replaced as a whole by an import, a clear or a grid remap
+   * 处理被导入、清除或网格重映射整体替换的高度数据
+   */
+  onDataReplaced() {
+    if (!this.isEnabled || !game.settings.get(MODULE_ID, "autoUpdateTokens")) {
+      return;
+    }
+
+    if (game.user.isGM && this.isUpdateAuthority()) {
+      this.updateAllTokens();
+    }
+  }
+
+  /**
+   * Handle height data saved by another client
+   * The responsible GM re-evaluates every token, since requests may have raced the save
+   * 处理其他客户端保存的高度数据
+   * 由于请求可能先于保存到达，负责的GM重新计算所有Token
+   */
+  onDataReloaded() {
+    if (!this.isEnabled || !game.settings.get(MODULE_ID, "autoUpdateTokens")) {
+      return;
+    }
+
+    if (!game.user.isGM || !this.isUpdateAuthority()) {
+      return;
+    }
+
+    for (const token of canvas.tokens?.placeables || []) {
+      if (!this.shouldSkipToken(token.document)) {
+        this.queueTokenUpdate(token.document);
+      }
+    }
+  }
+
+  /**
+   * Set the socket relay used to route updates to the responsible GM
+   * 设置用于将更新路由到负责GM的Socket中继
+   */
+  setRelay(relay) {
+    this.relay = relay;
+  }
+
+  /**
+   * Check whether this client applies updates for changes made elsewhere
+   * 检查本客户端是否负责应用其他地方产生的更新
+   */
+  isUpdateAuthority() {
+    return !this.relay || this.relay.isResponsibleGM();
+  }
+
+  /**
+   * Request elevation updates for tokens changed on this client
+   * Goes through the socket relay when one is set, otherwise updates locally
+   * 为本客户端修改的Token请求高度更新
+   * 设置了Socket中继时通过中继，否则在本地更新
+   */
+  requestTokenUpdate(tokenDocuments) {
+    if (tokenDocuments.length === 0) return;
+
+    if (this.relay) {
+      this.relay.requestUpdate(tokenDocuments);
+    } else {
+      tokenDocuments.forEach(tokenDocument => this.queueTokenUpdate(tokenDocument));
+    }
   }
 
   /**
@@ -296,40 +424,175 @@ export default class TokenAutomation {
       } else {
       }
 
-      // Get token's grid position
-      const position = this.heightManager.getTokenGridPosition(targetTokenData);
-      if (!position) {
-        return;
+      // Sample the height profile along the movement path (terrain following)
+      // 沿移动路径采样高度剖面（地形跟随）
+      let pathProfile = null;
+      const path = tokenDocument._mapHeightPath;
+      delete tokenDocument._mapHeightPath;
+      if (path?.length > 1 && game.settings.get(MODULE_ID, "terrainFollowing")) {
+        pathProfile = this.sampleMovementPath(tokenDocument, path);
+        Hooks.callAll(`${MODULE_ID}.tokenPathSampled`, {
+          tokenDocument,
+          profile: pathProfile
+        });
       }
 
-      // Get height for this token (handles multi-grid tokens by using maximum height)
-      // 获取Token的高度（对于多网格Token使用最大高度）
-      const newHeight = this.calculateMultiGridHeight(targetTokenData.document || targetTokenData);
+      let position = null;
+      let newHeight;
+
+      if (this.heightManager.isGridless) {
+        // Gridless scenes sample the freeform regions under the token
+        // 无网格场景采样Token下方的自由形状区域
+        newHeight = this.heightManager.getTokenRegionHeight(targetTokenData);
+      } else {
+        // Get token's grid position
+        position = this.heightManager.getTokenGridPosition(targetTokenData);
+        if (!position) {
+          return;
+        }
+
+        // Get height for this token (multi-grid tokens use the configured aggregation)
+        // 获取Token的高度（多网格Token使用配置的合并方式）
+        newHeight = this.calculateMultiGridHeight(targetTokenData.document || targetTokenData);
+      }
       const currentHeight = tokenDocument.elevation || 0;
 
+      // Keep the token's height above the ground
+      // 保持Token离地的高度
+      const heightOffset = this.getHeightOffset(tokenDocument);
+      newHeight += heightOffset;
+
 
       // Only update if height has changed
-      if (currentHeight !== newHeight) {
-        await tokenDocument.update({ elevation: newHeight });
-        
-        
-        // Trigger custom hook
+      const elevationChanged = currentHeight !== newHeight;
+      if (elevationChanged) {
+        await tokenDocument.update({ elevation: newHeight }, { [MODULE_ID]: { automated: true } });
+      }
+
+      // Trigger custom hook, also for sampled paths that end at the starting height (e.g. over a ridge and back down)
+      // 触发自定义钩子，路径已采样但终点高度与起点相同时也会触发（例如翻过山脊再下来）
+      if (elevationChanged || pathProfile) {
         Hooks.callAll(`${MODULE_ID}.tokenElevationUpdated`, {
           tokenDocument,
           oldElevation: currentHeight,
           newElevation: newHeight,
-          gridPosition: position
+          elevationChanged,
+          heightOffset,
+          gridPosition: position,
+          path: pathProfile
         });
-      } else {
       }
-      
-      console.log(`${MODULE_ID} | === updateTokenElevation END for "${tokenDocument.name}" ===`);
-
     } catch (error) {
-      console.log(`${MODULE_ID} | === updateTokenElevation ERROR END for "${tokenDocument.name}" ===`);
+      console.error(`${MODULE_ID} | Failed to update elevation of token "${tokenDocument.name}"`, error);
+    }
+  }
+
+  /**
+   * Get a token's height above the ground
+   * 获取Token离地的高度
+   */
+  getHeightOffset(tokenDocument) {
+    return Number(tokenDocument.getFlag(MODULE_ID, "heightOffset")) || 0;
+  }
+
+  /**
+   * Set a token's height above the ground, the flag update then re-evaluates its elevation
+   * 设置Token离地的高度，标志更新后会重新计算其高度
+   */
+  async setHeightOffset(tokenDocument, offset) {
+    const value = Number(offset);
+    if (!this.heightManager.validateHeight(value)) return false;
+
+    await tokenDocument.setFlag(MODULE_ID, "heightOffset", value);
+    return true;
+  }
+
+  /**
+   * Store the offset implied by a manually set elevation
+   * 根据手动设置的高度存储离地偏移
+   */
+  async storeHeightOffset(tokenDocument, elevation) {
+    const ground = this.calculateMultiGridHeight(tokenDocument);
+    const offset = (Number(elevation) || 0) - ground;
+
+    if (offset !== this.getHeightOffset(tokenDocument) && this.heightManager.validateHeight(offset)) {
+      await this.setHeightOffset(tokenDocument, offset);
     }
   }
 
+  /**
+   * Get the ground height under a token if it stood at the given top-left position
+   * 获取Token位于指定左上角位置时其下方的地面高度
+   */
+  getTokenHeightAt(tokenDocument, x, y) {
+    const tokenData = {
+      document: {
+        x,
+        y,
+        width: tokenDocument.width,
+        height: tokenDocument.height,
+        id: tokenDocument.id,
+        name: tokenDocument.name
+      }
+    };
+
+    return this.calculateMultiGridHeight(tokenData.document);
+  }
+
+  /**
+   * Sample the height profile along a movement path
+   * Each segment is sampled every half grid, so no cell crossed on the way is missed
+   * 沿移动路径采样高度剖面
+   * 每段路径每隔半个网格采样一次，确保不会遗漏经过的格子
+   * @param {TokenDocument} tokenDocument
+   * @param {{x: number, y: number}[]} waypoints  Token top-left positions, origin first
+   * @returns {object} { waypoints, samples, startHeight, endHeight, peakHeight, lowestHeight, climb, descent, verticalDistance }
+   */
+  sampleMovementPath(tokenDocument, waypoints) {
+    const step = Math.max(1, this.heightManager.gridSize / 2);
+    const samples = [];
+
+    const addSample = (x, y) => {
+      samples.push({ x, y, height: this.getTokenHeightAt(tokenDocument, x, y) });
+    };
+
+    addSample(waypoints[0].x, waypoints[0].y);
+    for (let index = 1; index < waypoints.length; index++) {
+      const from = waypoints[index - 1];
+      const to = waypoints[index];
+      const distance = Math.hypot(to.x - from.x, to.y - from.y);
+      const count = Math.max(1, Math.ceil(distance / step));
+
+      for (let n = 1; n <= count; n++) {
+        const t = n / count;
+        addSample(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t);
+      }
+    }
+
+    // Accumulate climbing and descending between consecutive samples
+    // 累计相邻采样点之间的上升和下降
+    let climb = 0;
+    let descent = 0;
+    for (let index = 1; index < samples.length; index++) {
+      const delta = samples[index].height - samples[index - 1].height;
+      if (delta > 0) climb += delta;
+      else descent -= delta;
+    }
+
+    const heights = samples.map(sample => sample.height);
+    return {
+      waypoints,
+      samples,
+      startHeight: heights[0],
+      endHeight: heights[heights.length - 1],
+      peakHeight: heights.reduce((a, b) => Math.max(a, b)),
+      lowestHeight: heights.reduce((a, b) => Math.min(a, b)),
+      climb,
+      descent,
+      verticalDistance: climb + descent
+    };
+  }
+
   /**
    * Get all tokens on a specific grid coordinate
    * 获取特定网格坐标上的所有Token
@@ -340,8 +603,8 @@ export default class TokenAutomation {
     const tokens = [];
     
     for (const token of canvas.tokens.placeables) {
-      const position = this.heightManager.getTokenGridPosition(token.document);
-      if (position && position.i === gridX && position.j === gridY) {
+      const coverage = this.heightManager.getTokenGridCoverage(token.document);
+      if (coverage.some(pos => pos.i === gridX && pos.j === gridY)) {
         tokens.push(token.document);
       }
     }
@@ -437,40 +700,19 @@ export default class TokenAutomation {
    * 处理多网格Token的尺寸变化
    */
   getTokenGridCoverage(tokenDocument) {
-    const position = this.heightManager.getTokenGridPosition(tokenDocument);
-    if (!position) return [];
-
-    const width = tokenDocument.width || 1;
-    const height = tokenDocument.height || 1;
-    const coverage = [];
-
-    for (let x = 0; x < width; x++) {
-      for (let y = 0; y < height; y++) {
-        coverage.push({
-          i: position.i + x,
-          j: position.j + y
-        });
-      }
-    }
-
-    return coverage;
+    // Delegate to the height manager so square and hex footprints stay identical
+    // 委托给高度管理器，保证方形和六边形的覆盖范围一致
+    return this.heightManager.getTokenGridCoverage(tokenDocument);
   }
 
   /**
-   * Calculate maximum height for multi-grid tokens
-   * 计算多网格Token的最大高度
+   * Calculate the ground height for multi-grid tokens
+   * Delegates to the height manager so automation and queries use the same aggregation
+   * 计算多网格Token的地面高度
+   * 委托给高度管理器，保证自动化与查询使用相同的合并方式
    */
   calculateMultiGridHeight(tokenDocument) {
-    const coverage = this.getTokenGridCoverage(tokenDocument);
-    if (coverage.length === 0) return 0;
-
-    const heights = coverage.map(pos =>
-      this.heightManager.getGridHeight(pos.i, pos.j)
-    );
-
-    // Return the maximum height among all grids the token occupies
-    // 返回Token占据的所有网格中的最大高度
-    return Math.max(...heights);
+    return this.heightManager.getTokenHeight(tokenDocument);
   }
 
   /**
@@ -479,7 +721,7 @@ export default class TokenAutomation {
    */
   shouldSkipToken(tokenDocument) {
     // Check exception list
-    if (this.heightManager.isExceptionToken(tokenDocument.id)) {
+    if (this.heightManager.isExceptionToken(tokenDocument)) {
       return true;
     }
 
@@ -495,57 +737,11 @@ export default class TokenAutomation {
    * Check if a token has flying status
    * 检查Token是否具有飞行状态
    *
-   * Uses multiple detection methods:
-   * 1. Actor's active effects (v12+ recommended approach)
-   * 2. D&D 5e fly speed attribute
-   * 3. Custom flying properties
-   *
-   * Note: Does NOT use tokenDocument.effects (deprecated in v12)
+   * Delegates to the skip rule registry (status ids, effect keywords, per-system adapters
+   * and rules registered by other modules through MapHeightEditor.registerSkipRule)
    */
   hasFlyingStatus(tokenDocument) {
-    // Get the actor
-    const actor = tokenDocument.actor;
-    if (!actor) return false;
-
-    // Check for active effects with flying status
-    // 检查具有飞行状态的激活效果
-    const flyingStatuses = ['fly', 'flying', 'hover', 'hovering', 'levitate', 'levitating'];
-
-    // Method 1: Check actor's active effects
-    // 检查Actor的激活效果 - 这是v12+推荐的方式
-    if (actor.effects) {
-      for (const effect of actor.effects) {
-        const label = effect.label?.toLowerCase() || effect.name?.toLowerCase() || '';
-        const statusId = effect.statuses?.values().next().value?.toLowerCase() || '';
-        const icon = effect.icon?.toLowerCase() || '';
-
-        if (flyingStatuses.some(status =>
-          label.includes(status) ||
-          statusId.includes(status) ||
-          icon.includes(status)
-        )) {
-          return true;
-        }
-      }
-    }
-
-    // Method 2: For D&D 5e system - check movement speeds
-    // D&D 5e系统 - 检查移动速度
-    if (game.system.id === 'dnd5e' && actor.system?.attributes?.movement?.fly) {
-      const flySpeed = actor.system.attributes.movement.fly;
-      // If fly speed exists and is greater than 0, consider it flying
-      if (flySpeed && parseFloat(flySpeed) > 0) {
-        return true;
-      }
-    }
-
-    // Method 3: Check for custom flying property (some systems use this)
-    // 检查自定义飞行属性（某些系统使用此方式）
-    if (actor.system?.attributes?.flying === true) {
-      return true;
-    }
-
-    return false;
+    return SkipRules.match(tokenDocument) !== null;
   }
 
   /**
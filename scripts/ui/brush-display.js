@@ -32,6 +32,10 @@ export default class BrushDisplay {
    * 初始化画笔显示器
    */
   async initialize() {
+    // Follow brush mode changes made with the scene control tools
+    // 跟随通过场景控制工具进行的画笔模式变化
+    Hooks.on('renderSceneControls', () => this.updateBrush());
+
     // Load saved position from settings
     const savedPosition = game.settings.get(MODULE_ID, "brushDisplayPosition");
     if (savedPosition) {
@@ -53,6 +57,10 @@ export default class BrushDisplay {
     // Create container
     this.element = document.createElement('div');
     this.element.className = 'map-height-brush-display';
+
+    const shapeOptions = window.MapHeightEditor.HeightManager.BRUSH_SHAPES.map(shape =>
+      `<option value="${shape}">${game.i18n.localize(`MAP_HEIGHT.BrushDisplay.Shapes.${shape}`)}</option>`
+    ).join("");
     this.element.style.left = `${this.position.x}px`;
     this.element.style.top = `${this.position.y}px`;
 
@@ -68,6 +76,7 @@ export default class BrushDisplay {
       <div class="brush-display-body">
         <div class="brush-height-value" data-height="0">0</div>
         <div class="brush-height-bar"></div>
+        <div class="brush-mode-label"></div>
       </div>
       <div class="brush-display-controls">
         <button class="brush-quick-btn positive" data-action="increment" title="${game.i18n.localize("MAP_HEIGHT.BrushDisplay.Increment")}">
@@ -80,6 +89,24 @@ export default class BrushDisplay {
           <i class="fas fa-minus"></i>
         </button>
       </div>
+      <div class="brush-display-size">
+        <button class="brush-size-btn" data-action="radius-down" title="${game.i18n.localize("MAP_HEIGHT.BrushDisplay.RadiusDown")}">
+          <i class="fas fa-compress"></i>
+        </button>
+        <span class="brush-radius-value" title="${game.i18n.localize("MAP_HEIGHT.BrushDisplay.Radius")}">1</span>
+        <button class="brush-size-btn" data-action="radius-up" title="${game.i18n.localize("MAP_HEIGHT.BrushDisplay.RadiusUp")}">
+          <i class="fas fa-expand"></i>
+        </button>
+        <select class="brush-shape-select" title="${game.i18n.localize("MAP_HEIGHT.BrushDisplay.Shape")}">
+          ${shapeOptions}
+        </select>
+      </div>
+      <div class="brush-display-clamp">
+        <label>${game.i18n.localize("MAP_HEIGHT.Controls.ClampMin")}</label>
+        <input type="number" name="clampMin" min="-1000" max="1000" step="1">
+        <label>${game.i18n.localize("MAP_HEIGHT.Controls.ClampMax")}</label>
+        <input type="number" name="clampMax" min="-1000" max="1000" step="1">
+      </div>
     `;
 
     // Initially hidden
@@ -113,6 +140,18 @@ export default class BrushDisplay {
       });
     });
 
+    // Brush shape selector
+    // 画笔形状选择器
+    this.element.querySelector('.brush-shape-select').addEventListener('change', (e) => {
+      this.setBrush({ shape: e.currentTarget.value });
+    });
+
+    // Clamp range inputs
+    // 钳制范围输入框
+    this.element.querySelectorAll('.brush-display-clamp input').forEach(input => {
+      input.addEventListener('change', this.onClampChange.bind(this));
+    });
+
     // Prevent drag from triggering other canvas events
     this.element.addEventListener('mousedown', (e) => {
       e.stopPropagation();
@@ -210,6 +249,12 @@ export default class BrushDisplay {
    * 处理快捷操作按钮 (+, 0, -)
    */
   onQuickAction(action) {
+    if (action === 'radius-up' || action === 'radius-down') {
+      const radius = window.MapHeightEditor.brushRadius || 1;
+      this.setBrush({ radius: radius + (action === 'radius-up' ? 1 : -1) });
+      return;
+    }
+
     let newHeight = this.currentHeight;
 
     switch (action) {
@@ -240,6 +285,70 @@ export default class BrushDisplay {
     ui.controls.render();
   }
 
+  /**
+   * Change the brush radius and/or shape
+   * The radius is kept between 1 and the brushMaxRadius setting
+   * 修改画笔半径和/或形状
+   * 半径限制在1到brushMaxRadius设置之间
+   */
+  setBrush({ radius, shape } = {}) {
+    const editor = window.MapHeightEditor;
+
+    if (radius !== undefined) {
+      const maxRadius = game.settings.get(MODULE_ID, "brushMaxRadius");
+      editor.brushRadius = Math.max(1, Math.min(Math.round(radius), maxRadius));
+    }
+    if (shape !== undefined && editor.HeightManager.BRUSH_SHAPES.includes(shape)) {
+      editor.brushShape = shape;
+    }
+
+    this.updateBrush();
+
+    // Redraw the footprint under the cursor
+    // 重新绘制光标下的笔刷范围
+    editor.heightOverlay?.refreshBrushPreview();
+  }
+
+  /**
+   * Store the clamp range typed into the brush display
+   * 保存在画笔显示器中输入的钳制范围
+   */
+  onClampChange(event) {
+    const value = Number(event.currentTarget.value);
+    const key = event.currentTarget.name === "clampMin" ? "min" : "max";
+
+    if (!window.MapHeightEditor.heightManager?.validateHeight(value)) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Notifications.InvalidHeight"));
+      this.updateBrush();
+      return;
+    }
+
+    window.MapHeightEditor.brushClamp = { ...window.MapHeightEditor.brushClamp, [key]: value };
+  }
+
+  /**
+   * Update the displayed brush radius, shape and mode
+   * 更新显示的画笔半径、形状和模式
+   */
+  updateBrush() {
+    if (!this.element) return;
+
+    const editor = window.MapHeightEditor;
+    this.element.querySelector('.brush-radius-value').textContent = editor.brushRadius || 1;
+    this.element.querySelector('.brush-shape-select').value = editor.brushShape || "square";
+
+    // The mode comes from the active scene control tool
+    // 模式来自当前激活的场景控制工具
+    const mode = editor.heightOverlay?.getBrushMode() ?? "set";
+    this.element.querySelector('.brush-mode-label').textContent =
+      game.i18n.localize(`MAP_HEIGHT.Controls.BrushModes.${mode}`);
+
+    const clamp = this.element.querySelector('.brush-display-clamp');
+    clamp.style.display = mode === "clamp" ? "flex" : "none";
+    clamp.querySelector('[name="clampMin"]').value = editor.brushClamp?.min ?? 0;
+    clamp.querySelector('[name="clampMax"]').value = editor.brushClamp?.max ?? 0;
+  }
+
   /**
    * Update the displayed height
    * 更新显示的高度
@@ -296,8 +405,9 @@ export default class BrushDisplay {
     this.element.style.display = 'block';
     this.isVisible = true;
 
-    // Update to current height
+    // Update to current height and brush
     this.updateHeight(this.currentHeight);
+    this.updateBrush();
   }
 
   /**
@@ -112,18 +112,62 @@ export default class MapHeightLayer extends InteractionLayer {
     // Convert screen coordinates to world coordinates
     const worldPos = event.data.getLocalPosition(canvas.stage);
     
-    // Get height overlay for grid calculations
-    const heightOverlay = window.MapHeightEditor.heightOverlay;
-    if (!heightOverlay) return;
-    
-    // Convert world coordinates to grid coordinates
-    const gridX = Math.floor((worldPos.x - heightOverlay.gridOffsetX) / heightOverlay.gridSize);
-    const gridY = Math.floor((worldPos.y - heightOverlay.gridOffsetY) / heightOverlay.gridSize);
-    
-    // Set grid height using current brush height
-    const brushHeight = window.MapHeightEditor.currentBrushHeight || 0;
-    window.MapHeightEditor.heightManager.setGridHeight(gridX, gridY, brushHeight);
+    // Gridless scenes edit freeform regions through the overlay
+    // 无网格场景通过覆盖层编辑自由形状区域
+    const heightManager = window.MapHeightEditor.heightManager;
+    if (heightManager.isGridless) {
+      window.MapHeightEditor.heightOverlay?.handleRegionClick(worldPos);
+      return;
+    }
+
+    // Convert world coordinates to grid coordinates (square or hex)
+    const { x: gridX, y: gridY } = heightManager.getGridFromPoint(worldPos.x, worldPos.y);
+
+    // Bucket tool fills the contiguous area instead of a single grid
+    if (ui.controls.activeTool === "bucket") {
+      window.MapHeightEditor.heightOverlay?.floodFill(gridX, gridY);
+      return;
+    }
+
+    // Selection tools (and clicks while pasting) are handled by the selection tool
+    const selectionTool = window.MapHeightEditor.selectionTool;
+    if (selectionTool && (selectionTool.isActive() || selectionTool.pasting)) {
+      selectionTool.handleClick(gridX, gridY, worldPos);
+      return;
+    }
+
+    // Lasso and ellipse tools draw the shape to fill
+    if (["lasso", "ellipse"].includes(ui.controls.activeTool)) {
+      window.MapHeightEditor.heightOverlay?.handleShapeClick(worldPos);
+      return;
+    }
+
+    // Gradient tool picks the two corners of a ramp
+    if (ui.controls.activeTool === "gradient") {
+      window.MapHeightEditor.heightOverlay?.handleGradientClick(gridX, gridY);
+      return;
+    }
     
+    // Apply the brush footprint with the current brush mode
+    window.MapHeightEditor.heightOverlay?.paintOnce(gridX, gridY);
+  }
+
+  /**
+   * Handle double left-click events on the canvas
+   * 处理canvas上的左键双击事件
+   */
+  _onClickLeft2(event) {
+    if (!this.isHeightEditMode || !window.MapHeightEditor?.heightManager) {
+      return;
+    }
+
+    // Double-click closes the polygon being drawn
+    // 双击闭合正在绘制的多边形
+    if (window.MapHeightEditor.heightManager.isGridless) {
+      window.MapHeightEditor.heightOverlay?.finishRegionPolygon();
+    } else if (["lasso", "select-lasso"].includes(ui.controls.activeTool)) {
+      window.MapHeightEditor.heightOverlay?.finishLasso();
+    }
   }
 
   /**
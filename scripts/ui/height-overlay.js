@@ -29,15 +29,30 @@ export default class HeightOverlay extends PIXI.Container {
     this.dragStartGrid = null;
     this.lastDragGrid = null;
     this.paintedGrids = new Set(); // Track grids painted in current drag operation
+    this.flattenHeight = null; // Height sampled from the first clicked grid for the flatten mode
+
+    // Brush footprint preview state
+    // 笔刷范围预览状态
+    this.hoverGrid = null; // Grid under the cursor {x, y}
+    this.brushPreview = null; // PIXI.Graphics for the brush footprint
+    this.changePreview = null; // PIXI.Graphics for pending changes shown before they are applied
 
     // Rectangle fill mode state
     // 矩形填充模式状态
     this.rectangleMode = false;
     this.rectangleFirstPoint = null; // First corner of rectangle {x, y}
+    this.gradientStartHeight = null; // Start height of a gradient, set with its first corner
     this.rectanglePreview = null; // PIXI.Graphics for preview rectangle
     this.rectangleHighlight = null; // PIXI.Graphics for first point highlight
 
-    // Grid parameters (will be updated from canvas)
+    // Gridless region state
+    // 无网格区域状态
+    this.regionElements = new Map(); // Map of region id -> PIXI element
+    this.regionDraft = null; // Region being drawn {shape, points}
+    this.regionPreview = null; // PIXI.Graphics for region drawing preview
+    this.selectedRegionId = null;
+
+    // Grid parameters (copied from the height manager's coordinate service)
     this.gridSize = 100;
     this.gridOffsetX = 0;
     this.gridOffsetY = 0;
@@ -71,6 +86,11 @@ export default class HeightOverlay extends PIXI.Container {
     // Listen for height changes
     Hooks.on(`${MODULE_ID}.gridHeightChanged`, this.onGridHeightChanged.bind(this));
     Hooks.on(`${MODULE_ID}.areaHeightChanged`, this.onAreaHeightChanged.bind(this));
+    Hooks.on(`${MODULE_ID}.regionChanged`, this.onRegionChanged.bind(this));
+    Hooks.on(`${MODULE_ID}.dataImported`, this.onDataReplaced.bind(this));
+    Hooks.on(`${MODULE_ID}.dataCleared`, this.onDataReplaced.bind(this));
+    Hooks.on(`${MODULE_ID}.dataReloaded`, this.onDataReplaced.bind(this));
+    Hooks.on(`${MODULE_ID}.gridRemapped`, this.onDataReplaced.bind(this));
 
     // Listen for canvas pan/zoom
     Hooks.on('canvasPan', this.onCanvasTransform.bind(this));
@@ -86,38 +106,30 @@ export default class HeightOverlay extends PIXI.Container {
     // 监听键盘事件（ESC 键取消矩形选择）
     this.boundOnKeyDown = this.onKeyDown.bind(this);
     document.addEventListener('keydown', this.boundOnKeyDown);
+
+    // Stage listeners for paint strokes, bound once so they can be removed again
+    // 绘制笔画的舞台监听器，只绑定一次以便之后移除
+    this.boundOnGlobalPointerUp = this.onGlobalPointerUp.bind(this);
+    this.boundOnGlobalPointerMove = this.onGlobalPointerMove.bind(this);
+
+    // Pointer tracking for region drawing previews
+    // 区域绘制预览的指针跟踪
+    this.boundOnRegionPointerMove = this.onRegionPointerMove.bind(this);
   }
 
   /**
-   * Update grid parameters from canvas
-   * 从canvas更新网格参数
+   * Update grid parameters from the height manager's coordinate service
+   * 从高度管理器的坐标服务更新网格参数
    */
   updateGridParameters() {
-    if (!canvas || !canvas.grid || !canvas.scene) return;
-
-    this.gridSize = canvas.grid.size;
-
-    // Calculate padding offset - scene origin in canvas coordinates
-    // Grid (0,0) should always point to scene (0,0), regardless of padding
-    // Padding adds extra space around the scene, shifting the scene's position in canvas
-    // 计算padding偏移量 - scene原点在canvas坐标系中的位置
-    // Grid (0,0) 应该始终指向 scene (0,0)，无论padding如何变化
-    // Padding在scene周围添加额外空间，使scene在canvas中的位置发生偏移
-    const padding = canvas.scene.padding || 0;
-    const sceneWidth = canvas.scene.width;
-    const sceneHeight = canvas.scene.height;
-
-    // Calculate padding in grid units, then convert to pixels
-    // Padding is applied symmetrically on all sides
-    const paddingGridsX = Math.ceil((sceneWidth * padding) / this.gridSize);
-    const paddingGridsY = Math.ceil((sceneHeight * padding) / this.gridSize);
-
-    // Grid offset = scene's top-left position in canvas coordinates
-    // This makes grid (0,0) always correspond to scene (0,0)
-    // Padding area will have negative grid coordinates (e.g., -1, -2)
-    this.gridOffsetX = paddingGridsX * this.gridSize;
-    this.gridOffsetY = paddingGridsY * this.gridSize;
-
+    const coordinates = this.heightManager?.coordinates;
+    if (!coordinates) return;
+
+    // Grid (0,0) always points to the scene origin, regardless of padding and background shift
+    // Grid (0,0) 始终指向场景原点，无论padding和背景偏移如何变化
+    this.gridSize = coordinates.gridSize;
+    this.gridOffsetX = coordinates.gridOffsetX;
+    this.gridOffsetY = coordinates.gridOffsetY;
   }
 
   /**
@@ -157,10 +169,14 @@ export default class HeightOverlay extends PIXI.Container {
 
     // Clear all grid elements
     this.clearAllGrids();
+    this.clearAllRegions();
 
     // Clear rectangle selection if active
     // 清除矩形选择（如果激活）
     this.clearRectangleSelection();
+    this.cancelRegionDraft();
+    this.clearBrushPreview();
+    this.hoverGrid = null;
 
   }
 
@@ -169,7 +185,7 @@ export default class HeightOverlay extends PIXI.Container {
    * 更新视口边界以进行性能优化
    */
   updateViewport() {
-    if (!canvas || !canvas.stage || !canvas.scene) return;
+    if (!canvas || !canvas.stage || !canvas.scene || !this.heightManager?.coordinates) return;
     
     const stage = canvas.stage;
     const bounds = canvas.app.renderer.screen;
@@ -178,52 +194,29 @@ export default class HeightOverlay extends PIXI.Container {
     const transform = stage.transform.worldTransform;
     const scale = transform.a; // Assuming uniform scaling
     
-    // Get scene dimensions and padding
-    const sceneWidth = canvas.scene.width;
-    const sceneHeight = canvas.scene.height;
-    const padding = canvas.scene.padding || 0; // padding as decimal (0.25 = 25%)
-    
-    // Calculate total canvas dimensions including padding
-    // Padding is applied symmetrically in grid units, not pixels
-    // Formula: totalSize = originalSize + 2 × Math.ceil((originalSize × padding) / gridSize) × gridSize
-    const paddingGridsWidthPerSide = Math.ceil((sceneWidth * padding) / this.gridSize);
-    const paddingGridsHeightPerSide = Math.ceil((sceneHeight * padding) / this.gridSize);
-    const paddingWidthPerSide = paddingGridsWidthPerSide * this.gridSize;
-    const paddingHeightPerSide = paddingGridsHeightPerSide * this.gridSize;
-    const totalWidth = sceneWidth + 2 * paddingWidthPerSide;
-    const totalHeight = sceneHeight + 2 * paddingHeightPerSide;
-    
-    // Calculate total grid rows and columns to cover the expanded canvas
-    const totalCols = Math.ceil(totalWidth / this.gridSize);
-    const totalRows = Math.ceil(totalHeight / this.gridSize);
-
-    // Calculate viewport bounds in canvas coordinates, then convert to grid coordinates
-    // Grid coordinates are relative to scene origin, so we need to account for gridOffset
+    // Viewport bounds in canvas coordinates, one grid wider on each side
+    // canvas坐标中的视口边界，每侧多出一个网格
     const canvasViewportLeft = -transform.tx / scale - this.gridSize;
     const canvasViewportTop = -transform.ty / scale - this.gridSize;
     const canvasViewportRight = (-transform.tx + bounds.width) / scale + this.gridSize;
     const canvasViewportBottom = (-transform.ty + bounds.height) / scale + this.gridSize;
 
-    // Convert canvas coordinates to grid coordinates (grid relative to scene)
-    const viewportLeft = Math.floor((canvasViewportLeft - this.gridOffsetX) / this.gridSize);
-    const viewportTop = Math.floor((canvasViewportTop - this.gridOffsetY) / this.gridSize);
-    const viewportRight = Math.ceil((canvasViewportRight - this.gridOffsetX) / this.gridSize);
-    const viewportBottom = Math.ceil((canvasViewportBottom - this.gridOffsetY) / this.gridSize);
+    // Convert the viewport corners through the grid geometry, then constrain them to the canvas (padding included)
+    // 通过网格几何转换视口角点，然后限制在canvas范围内（包括padding）
+    const corners = [
+      this.heightManager.getGridFromPoint(canvasViewportLeft, canvasViewportTop),
+      this.heightManager.getGridFromPoint(canvasViewportRight, canvasViewportTop),
+      this.heightManager.getGridFromPoint(canvasViewportLeft, canvasViewportBottom),
+      this.heightManager.getGridFromPoint(canvasViewportRight, canvasViewportBottom)
+    ];
+    const canvasBounds = this.heightManager.getCanvasGridBounds();
 
-    // Calculate grid bounds including padding area (padding area has negative coordinates)
-    const minGridX = -paddingGridsWidthPerSide;
-    const minGridY = -paddingGridsHeightPerSide;
-    const maxGridX = Math.ceil(sceneWidth / this.gridSize) + paddingGridsWidthPerSide - 1;
-    const maxGridY = Math.ceil(sceneHeight / this.gridSize) + paddingGridsHeightPerSide - 1;
-
-    // Constrain to total canvas boundaries (including padding area)
     this.viewportBounds = {
-      left: Math.max(minGridX, viewportLeft),
-      top: Math.max(minGridY, viewportTop),
-      right: Math.min(maxGridX, viewportRight),
-      bottom: Math.min(maxGridY, viewportBottom)
+      left: Math.max(canvasBounds.left, Math.min(...corners.map(c => c.x)) - 1),
+      top: Math.max(canvasBounds.top, Math.min(...corners.map(c => c.y)) - 1),
+      right: Math.min(canvasBounds.right, Math.max(...corners.map(c => c.x)) + 1),
+      bottom: Math.min(canvasBounds.bottom, Math.max(...corners.map(c => c.y)) + 1)
     };
-    
   }
 
   /**
@@ -232,6 +225,13 @@ export default class HeightOverlay extends PIXI.Container {
    */
   renderVisibleGrids() {
     if (!this.isVisible || !this.heightManager) return;
+
+    // Gridless scenes display freeform regions instead of grid cells
+    // 无网格场景显示自由形状区域而非网格单元
+    if (this.heightManager.isGridless) {
+      this.renderRegions();
+      return;
+    }
     
     const now = Date.now();
     if (now - this.lastUpdate < this.updateThreshold) {
@@ -288,9 +288,8 @@ export default class HeightOverlay extends PIXI.Container {
     container.buttonMode = true;
     
     // Position the container
-    const worldX = gridX * this.gridSize + this.gridOffsetX + this.gridSize / 2;
-    const worldY = gridY * this.gridSize + this.gridOffsetY + this.gridSize / 2;
-    container.position.set(worldX, worldY);
+    const center = this.heightManager.getGridCenter(gridX, gridY);
+    container.position.set(center.x, center.y);
     
     // Create background
     const background = new PIXI.Graphics();
@@ -345,27 +344,39 @@ export default class HeightOverlay extends PIXI.Container {
   updateBackgroundStyle(graphics, height) {
     graphics.clear();
     
-    // Choose color based on height
-    let color, alpha;
-    if (height === 0) {
-      color = 0x4FC3F7; // Blue for water level
-      alpha = 0.3;
-    } else if (height > 0) {
-      color = 0x81C784; // Green for positive elevation
-      alpha = 0.2 + Math.min(height / 50, 0.3); // Gradually more opaque
-    } else {
-      color = 0xE57373; // Red for below water level
-      alpha = 0.2 + Math.min(Math.abs(height) / 50, 0.3);
-    }
+    const { color, alpha } = this.getHeightColor(height);
     
-    // Draw rounded rectangle background
-    const size = this.gridSize * 0.8;
     graphics.beginFill(color, alpha);
     graphics.lineStyle(1, color, 0.8);
-    graphics.drawRoundedRect(-size / 2, -size / 2, size, size, 4);
+
+    if (this.heightManager?.isHex) {
+      // Draw hex background following the grid cell outline
+      // 按网格单元轮廓绘制六边形背景
+      const points = this.heightManager.getGridShape().flatMap(p => [p.x * 0.8, p.y * 0.8]);
+      graphics.drawPolygon(points);
+    } else {
+      // Draw rounded rectangle background
+      const size = this.gridSize * 0.8;
+      graphics.drawRoundedRect(-size / 2, -size / 2, size, size, 4);
+    }
     graphics.endFill();
   }
 
+  /**
+   * Choose fill color and alpha based on height
+   * 根据高度选择填充颜色和透明度
+   */
+  getHeightColor(height) {
+    if (height === 0) {
+      return { color: 0x4FC3F7, alpha: 0.3 }; // Blue for water level
+    } else if (height > 0) {
+      // Green for positive elevation, gradually more opaque
+      return { color: 0x81C784, alpha: 0.2 + Math.min(height / 50, 0.3) };
+    }
+    // Red for below water level
+    return { color: 0xE57373, alpha: 0.2 + Math.min(Math.abs(height) / 50, 0.3) };
+  }
+
   /**
    * Get text style based on height
    * 根据高度获取文本样式
@@ -404,6 +415,35 @@ export default class HeightOverlay extends PIXI.Container {
 
     event.stopPropagation();
 
+    // Bucket tool fills the contiguous area under the cursor
+    // 油漆桶工具填充光标下的连续区域
+    if (ui.controls.activeTool === "bucket") {
+      this.floodFill(gridX, gridY);
+      return;
+    }
+
+    // Selection tools, and any click while pasting, go to the selection tool
+    // 选择工具以及粘贴时的点击交给选择工具处理
+    const selectionTool = window.MapHeightEditor.selectionTool;
+    if (selectionTool && (selectionTool.isActive() || selectionTool.pasting)) {
+      selectionTool.handleClick(gridX, gridY, event.data.getLocalPosition(canvas.stage));
+      return;
+    }
+
+    // Lasso and ellipse tools draw a shape instead of painting
+    // 套索和椭圆工具绘制形状而非绘制网格
+    if (["lasso", "ellipse"].includes(ui.controls.activeTool)) {
+      this.handleShapeClick(event.data.getLocalPosition(canvas.stage));
+      return;
+    }
+
+    // Gradient tool uses the two-click rectangle with a start and an end height
+    // 渐变工具使用两次点击的矩形，分别设定起点和终点高度
+    if (ui.controls.activeTool === "gradient") {
+      this.handleGradientClick(gridX, gridY);
+      return;
+    }
+
     // Check if shift key is pressed for rectangle mode
     // 检查是否按下 shift 键以启用矩形模式
     if (event.data.originalEvent && event.data.originalEvent.shiftKey) {
@@ -411,19 +451,29 @@ export default class HeightOverlay extends PIXI.Container {
       return;
     }
 
+    // Close a stroke whose pointer up was never delivered before starting a new one
+    // 开始新笔画前先结束未收到指针抬起事件的笔画
+    if (this.isDragging) this.endDragOperation();
+
+    // Record the whole stroke as one undoable operation
+    // 将整个笔画记录为一个可撤销操作
+    this.heightManager.beginOperation("paint");
+
     // Start drag operation
     this.isDragging = true;
     this.dragStartGrid = { x: gridX, y: gridY };
     this.lastDragGrid = { x: gridX, y: gridY };
     this.paintedGrids.clear();
+    this.flattenHeight = this.heightManager.getGridHeight(gridX, gridY);
 
     // Paint the initial grid
     this.paintGrid(gridX, gridY);
 
     // Add global pointer listeners for drag handling
     canvas.app.stage.interactive = true;
-    canvas.app.stage.on('pointerup', this.onGlobalPointerUp.bind(this));
-    canvas.app.stage.on('pointermove', this.onGlobalPointerMove.bind(this));
+    canvas.app.stage.on('pointerup', this.boundOnGlobalPointerUp);
+    canvas.app.stage.on('pointerupoutside', this.boundOnGlobalPointerUp);
+    canvas.app.stage.on('pointermove', this.boundOnGlobalPointerMove);
   }
 
   /**
@@ -455,8 +505,7 @@ export default class HeightOverlay extends PIXI.Container {
     const worldPos = event.data.getLocalPosition(canvas.stage);
     
     // Convert world coordinates to grid coordinates
-    const gridX = Math.floor((worldPos.x - this.gridOffsetX) / this.gridSize);
-    const gridY = Math.floor((worldPos.y - this.gridOffsetY) / this.gridSize);
+    const { x: gridX, y: gridY } = this.heightManager.getGridFromPoint(worldPos.x, worldPos.y);
     
     // Only paint if we've moved to a different grid
     if (!this.lastDragGrid || gridX !== this.lastDragGrid.x || gridY !== this.lastDragGrid.y) {
@@ -482,24 +531,207 @@ export default class HeightOverlay extends PIXI.Container {
    * 用当前画笔高度绘制网格
    */
   paintGrid(gridX, gridY) {
-    const currentHeight = window.MapHeightEditor.currentBrushHeight || 0;
-    const gridKey = `${gridX},${gridY}`;
-    
-    // Skip if already painted in this drag operation
-    if (this.paintedGrids.has(gridKey)) return;
-    
-    // Mark as painted
-    this.paintedGrids.add(gridKey);
-    
-    // Set grid height
-    this.heightManager.setGridHeight(gridX, gridY, currentHeight);
-    
-    // Visual feedback
-    const element = this.gridElements.get(gridKey);
-    if (element) {
-      this.animateHeightChange(element);
+    // Skip grids already painted in this drag operation, so relative modes apply once per stroke
+    // 跳过本次拖拽中已绘制的网格，使相对模式每个笔画只作用一次
+    const grids = this.getBrushGrids(gridX, gridY).filter(({ x, y }) => !this.paintedGrids.has(`${x},${y}`));
+    grids.forEach(({ x, y }) => this.paintedGrids.add(`${x},${y}`));
+
+    const changes = this.heightManager.getBrushHeights(grids, this.getBrushMode(), this.getBrushOptions());
+    for (const { x, y, height } of changes) {
+      // Set grid height
+      this.heightManager.setGridHeight(x, y, height);
+
+      // Visual feedback
+      const element = this.gridElements.get(`${x},${y}`);
+      if (element) {
+        this.animateHeightChange(element);
+      }
     }
-    
+  }
+
+  /**
+   * Paint the brush footprint once, outside a drag stroke
+   * 在拖拽笔画之外绘制一次笔刷范围
+   */
+  paintOnce(gridX, gridY) {
+    this.heightManager.beginOperation("paint");
+    this.paintedGrids.clear();
+    this.flattenHeight = this.heightManager.getGridHeight(gridX, gridY);
+
+    this.paintGrid(gridX, gridY);
+
+    this.paintedGrids.clear();
+    this.flattenHeight = null;
+    this.heightManager.commitOperation();
+    this.heightManager.flushHeightData();
+  }
+
+  /**
+   * Get the active brush mode from the selected scene control tool
+   * The plain brush tool sets absolute heights
+   * 从选中的场景控制工具获取当前画笔模式
+   * 普通画笔工具设置绝对高度
+   */
+  getBrushMode() {
+    const tool = ui.controls.activeTool;
+    return this.heightManager.constructor.BRUSH_MODES.includes(tool) ? tool : "set";
+  }
+
+  /**
+   * Get the values the brush modes work with
+   * 获取画笔模式使用的数值
+   */
+  getBrushOptions() {
+    const { currentBrushHeight, brushClamp } = window.MapHeightEditor;
+    const value = currentBrushHeight || 0;
+    const limits = [Number(brushClamp?.min ?? -Infinity), Number(brushClamp?.max ?? Infinity)];
+
+    return {
+      value,
+      reference: this.flattenHeight ?? value,
+      min: Math.min(...limits),
+      max: Math.max(...limits)
+    };
+  }
+
+  /**
+   * Get the grids covered by the current brush centered on a grid
+   * 获取以某网格为中心的当前画笔覆盖的网格
+   */
+  getBrushGrids(gridX, gridY) {
+    const { brushRadius, brushShape } = window.MapHeightEditor;
+    return this.heightManager.getBrushGrids(gridX, gridY, brushRadius || 1, brushShape || "square");
+  }
+
+  /**
+   * Outline the brush footprint around the grid under the cursor
+   * 在光标下的网格周围绘制笔刷范围轮廓
+   */
+  drawBrushPreview(gridX, gridY) {
+    this.clearBrushPreview();
+
+    // Tools that do not paint with the brush get no footprint
+    // 不使用画笔绘制的工具不显示笔刷范围
+    const tools = ["bucket", "gradient", "lasso", "ellipse", "select", "select-lasso"];
+    if (tools.includes(ui.controls.activeTool) || this.rectangleFirstPoint) return;
+
+    this.brushPreview = new PIXI.Graphics();
+    this.brushPreview.lineStyle(2, 0xFFFFFF, 0.8);
+    this.brushPreview.beginFill(0xFFFFFF, 0.1);
+
+    // Make completely non-interactive so it doesn't block click events
+    // 完全禁用交互，确保不会阻挡点击事件
+    this.brushPreview.interactive = false;
+    this.brushPreview.interactiveChildren = false;
+    this.brushPreview.eventMode = 'none';
+    this.brushPreview.hitArea = new PIXI.Rectangle(0, 0, 0, 0);
+
+    for (const { x, y } of this.getBrushGrids(gridX, gridY)) {
+      this.drawGridCell(this.brushPreview, x, y);
+    }
+    this.brushPreview.endFill();
+
+    this.addChild(this.brushPreview);
+  }
+
+  /**
+   * Redraw the brush footprint after the radius or shape changed
+   * 画笔半径或形状变化后重新绘制笔刷范围
+   */
+  refreshBrushPreview() {
+    if (this.isVisible && this.hoverGrid) {
+      this.drawBrushPreview(this.hoverGrid.x, this.hoverGrid.y);
+    }
+  }
+
+  /**
+   * Remove the brush footprint preview
+   * 移除笔刷范围预览
+   */
+  clearBrushPreview() {
+    if (this.brushPreview) {
+      this.removeChild(this.brushPreview);
+      this.brushPreview.destroy();
+      this.brushPreview = null;
+    }
+  }
+
+  /**
+   * Highlight grids a pending change would modify: green where heights rise, red where they drop
+   * 高亮待应用更改将修改的网格：升高为绿色，降低为红色
+   * @param {{x: number, y: number, height: number, oldHeight: number}[]} changes
+   */
+  drawChangePreview(changes) {
+    this.clearChangePreview();
+
+    this.changePreview = new PIXI.Graphics();
+    this.changePreview.eventMode = 'none';
+
+    const raised = changes.filter(change => change.height > change.oldHeight);
+    const lowered = changes.filter(change => change.height <= change.oldHeight);
+
+    for (const [color, group] of [[0x4CAF50, raised], [0xF44336, lowered]]) {
+      if (group.length === 0) continue;
+      this.changePreview.lineStyle(1, color, 0.9);
+      this.changePreview.beginFill(color, 0.35);
+      for (const { x, y } of group) {
+        this.drawGridCell(this.changePreview, x, y);
+      }
+      this.changePreview.endFill();
+    }
+
+    this.addChild(this.changePreview);
+  }
+
+  /**
+   * Remove the pending change highlight
+   * 移除待应用更改的高亮
+   */
+  clearChangePreview() {
+    if (this.changePreview) {
+      this.removeChild(this.changePreview);
+      this.changePreview.destroy();
+      this.changePreview = null;
+    }
+  }
+
+  /**
+   * Highlight pending changes and ask the user to apply them
+   * The overlay is shown while the dialog is open, even outside the height layer
+   * 高亮待应用的更改并询问用户是否应用
+   * 对话框打开期间显示覆盖层，即使不在高度层
+   * @param {object[]} changes  Changed grids, see drawChangePreview
+   * @param {object} dialog
+   * @param {string} dialog.title
+   * @param {string} dialog.content
+   * @returns {Promise<boolean>}
+   */
+  async confirmChangePreview(changes, { title, content }) {
+    const wasVisible = this.isVisible;
+    this.show();
+    this.drawChangePreview(changes);
+
+    const raised = changes.filter(change => change.height > change.oldHeight).length;
+    const confirmed = await Dialog.confirm({
+      title,
+      content: `
+        ${content}
+        <p>${game.i18n.format("MAP_HEIGHT.ChangePreview.Summary", {
+          changes: changes.length,
+          raised,
+          lowered: changes.length - raised
+        })}</p>
+        <p class="hint">${game.i18n.localize("MAP_HEIGHT.ChangePreview.Hint")}</p>
+      `,
+      yes: () => true,
+      no: () => false,
+      rejectClose: false
+    });
+
+    this.clearChangePreview();
+    if (!wasVisible) this.hide();
+
+    return !!confirmed;
   }
 
   /**
@@ -514,10 +746,17 @@ export default class HeightOverlay extends PIXI.Container {
     this.lastDragGrid = null;
     
     // Remove global listeners
-    canvas.app.stage.off('pointerup', this.onGlobalPointerUp.bind(this));
-    canvas.app.stage.off('pointermove', this.onGlobalPointerMove.bind(this));
+    canvas.app.stage.off('pointerup', this.boundOnGlobalPointerUp);
+    canvas.app.stage.off('pointerupoutside', this.boundOnGlobalPointerUp);
+    canvas.app.stage.off('pointermove', this.boundOnGlobalPointerMove);
 
     this.paintedGrids.clear();
+    this.flattenHeight = null;
+    this.heightManager.commitOperation();
+
+    // Persist the whole stroke as one flag update
+    // 将整个笔画作为一次标志更新写入
+    this.heightManager.flushHeightData();
   }
 
   /**
@@ -532,6 +771,15 @@ export default class HeightOverlay extends PIXI.Container {
       element._background.alpha *= 1.5;
     }
 
+    // Preview the brush footprint under the cursor
+    // 预览光标下的笔刷范围
+    this.hoverGrid = { x: gridX, y: gridY };
+    this.drawBrushPreview(gridX, gridY);
+
+    // Move the paste ghost along
+    // 移动粘贴虚影
+    window.MapHeightEditor.selectionTool?.onHover(gridX, gridY);
+
     // Show rectangle preview if in rectangle mode with first point selected
     // 如果在矩形模式且已选择第一个点，则显示矩形预览
     if (this.rectangleMode && this.rectangleFirstPoint) {
@@ -550,6 +798,11 @@ export default class HeightOverlay extends PIXI.Container {
       element.scale.set(1.0);
       element._background.alpha /= 1.5;
     }
+
+    if (this.hoverGrid?.x === gridX && this.hoverGrid?.y === gridY) {
+      this.hoverGrid = null;
+      this.clearBrushPreview();
+    }
   }
 
   /**
@@ -651,12 +904,385 @@ export default class HeightOverlay extends PIXI.Container {
     });
   }
 
+  /**
+   * Render all gridless height regions
+   * 渲染所有无网格高度区域
+   */
+  renderRegions() {
+    this.clearAllRegions();
+
+    for (const region of this.heightManager.regions) {
+      const element = this.createRegionElement(region);
+      this.addChild(element);
+      this.regionElements.set(region.id, element);
+    }
+  }
+
+  /**
+   * Create a region element (shape + height label)
+   * 创建区域元素（形状+高度标签）
+   */
+  createRegionElement(region) {
+    const container = new PIXI.Container();
+    container.name = `region-${region.id}`;
+
+    // Clicks are handled by the height layer, not by the shapes
+    // 点击由高度层处理，而非形状本身
+    container.eventMode = 'none';
+    container.interactiveChildren = false;
+
+    const { color, alpha } = this.getHeightColor(region.height);
+    const selected = region.id === this.selectedRegionId;
+    const shape = this.heightManager.getRegionCanvasShape(region);
+
+    const graphics = new PIXI.Graphics();
+    graphics.lineStyle(selected ? 4 : 2, selected ? 0xFFFF00 : color, 0.9);
+    graphics.beginFill(color, alpha);
+    if (shape.shape === "circle") {
+      graphics.drawCircle(shape.x, shape.y, shape.radius);
+    } else {
+      graphics.drawPolygon(shape.points);
+    }
+    graphics.endFill();
+    container.addChild(graphics);
+
+    const center = this.heightManager.getRegionCenter(region);
+    const text = new PIXI.Text(region.height.toString(), this.getTextStyle(region.height));
+    text.anchor.set(0.5, 0.5);
+    text.position.set(center.x, center.y);
+    container.addChild(text);
+
+    return container;
+  }
+
+  /**
+   * Clear all region elements
+   * 清除所有区域元素
+   */
+  clearAllRegions() {
+    for (const element of this.regionElements.values()) {
+      this.removeChild(element);
+      element.destroy({ children: true });
+    }
+    this.regionElements.clear();
+  }
+
+  /**
+   * Handle a left click on a gridless scene, dispatched by the height layer
+   * 处理无网格场景上的左键点击（由高度层分发）
+   */
+  handleRegionClick(point) {
+    if (!this.isVisible) return;
+
+    const tool = ui.controls.activeTool;
+    if (tool === "region-polygon") {
+      this.addPolygonVertex(point);
+      return;
+    }
+    if (tool === "region-circle") {
+      this.handleCircleClick(point);
+      return;
+    }
+
+    // Brush tool: select the region under the cursor and apply the brush height
+    // 画笔工具：选择光标下的区域并应用画笔高度
+    const region = this.heightManager.getRegionAtPoint(point.x, point.y);
+    this.selectedRegionId = region?.id ?? null;
+
+    if (region) {
+      const height = window.MapHeightEditor.currentBrushHeight || 0;
+      this.heightManager.setRegionHeight(region.id, height);
+      ui.notifications.info(game.i18n.format("MAP_HEIGHT.Regions.RegionUpdated", { height }));
+    }
+
+    this.renderRegions();
+  }
+
+  /**
+   * Add a vertex to the polygon being drawn, starting a new one if needed
+   * 为正在绘制的多边形添加顶点，必要时开始新的多边形
+   */
+  addPolygonVertex(point) {
+    if (this.regionDraft?.shape !== "polygon") {
+      this.startRegionDraft("polygon", point);
+      ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Regions.PolygonStarted"));
+      return;
+    }
+
+    // A double-click repeats the last vertex before closing the polygon
+    // 双击会在闭合多边形前重复最后一个顶点
+    const last = this.regionDraft.points[this.regionDraft.points.length - 1];
+    if (Math.hypot(last.x - point.x, last.y - point.y) < 5) return;
+
+    this.regionDraft.points.push(point);
+    this.drawRegionPreview(point);
+  }
+
+  /**
+   * Close the polygon being drawn and save it as a region
+   * 闭合正在绘制的多边形并保存为区域
+   */
+  async finishRegionPolygon() {
+    if (this.regionDraft?.shape !== "polygon") return;
+
+    const points = this.regionDraft.points;
+    if (points.length < 3) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Regions.TooFewPoints"));
+      return;
+    }
+
+    this.cancelRegionDraft();
+
+    const height = window.MapHeightEditor.currentBrushHeight || 0;
+    const region = await this.heightManager.addRegion({ shape: "polygon", points, height });
+    if (region) {
+      ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Regions.RegionCreated"));
+    }
+  }
+
+  /**
+   * Handle circle tool clicks - first click sets the center, second the radius
+   * 处理圆形工具点击 - 第一次点击设置圆心，第二次设置半径
+   */
+  async handleCircleClick(point) {
+    if (this.regionDraft?.shape !== "circle") {
+      this.startRegionDraft("circle", point);
+      ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Regions.CircleStarted"));
+      return;
+    }
+
+    const center = this.regionDraft.points[0];
+    const radius = Math.hypot(point.x - center.x, point.y - center.y);
+    this.cancelRegionDraft();
+    if (radius < 1) return;
+
+    const height = window.MapHeightEditor.currentBrushHeight || 0;
+    const region = await this.heightManager.addRegion({ shape: "circle", x: center.x, y: center.y, radius, height });
+    if (region) {
+      ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Regions.RegionCreated"));
+    }
+  }
+
+  /**
+   * Handle lasso and ellipse tool clicks on gridded scenes
+   * Lasso: click vertices, double-click (or click the last vertex again) to close and fill.
+   * Ellipse: the two clicks are opposite corners of its bounding box.
+   * 处理有网格场景上的套索和椭圆工具点击
+   * 套索：点击添加顶点，双击（或再次点击最后一个顶点）闭合并填充
+   * 椭圆：两次点击为其包围盒的对角
+   */
+  handleShapeClick(point) {
+    if (!this.isVisible) return;
+
+    if (ui.controls.activeTool === "lasso" || ui.controls.activeTool === "select-lasso") {
+      const last = this.regionDraft?.shape === "polygon" ? this.regionDraft.points.at(-1) : null;
+      if (last && Math.hypot(last.x - point.x, last.y - point.y) < 5) {
+        this.finishLasso();
+      } else {
+        this.addPolygonVertex(point);
+      }
+      return;
+    }
+
+    if (this.regionDraft?.shape !== "ellipse") {
+      this.startRegionDraft("ellipse", point);
+      ui.notifications.info(game.i18n.localize("MAP_HEIGHT.ShapeFill.EllipseStarted"));
+      return;
+    }
+
+    const first = this.regionDraft.points[0];
+    this.cancelRegionDraft();
+
+    const ellipse = this.getEllipseFromCorners(first, point);
+    if (ellipse.width < 1 || ellipse.height < 1) return;
+    this.fillShape(ellipse, first, "ellipse");
+  }
+
+  /**
+   * Close the lasso and fill the grids inside it
+   * 闭合套索并填充其中的网格
+   */
+  finishLasso() {
+    if (this.regionDraft?.shape !== "polygon") return;
+
+    const points = this.regionDraft.points;
+    if (points.length < 3) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Regions.TooFewPoints"));
+      return;
+    }
+
+    this.cancelRegionDraft();
+
+    const polygon = new PIXI.Polygon(points.flatMap(p => [p.x, p.y]));
+    if (ui.controls.activeTool === "select-lasso") {
+      window.MapHeightEditor.selectionTool?.selectShape(polygon);
+      return;
+    }
+    this.fillShape(polygon, points[0], "lasso");
+  }
+
+  /**
+   * Build the ellipse inscribed in the box between two corners
+   * 构建内切于两个角之间矩形的椭圆
+   */
+  getEllipseFromCorners(a, b) {
+    return new PIXI.Ellipse(
+      (a.x + b.x) / 2,
+      (a.y + b.y) / 2,
+      Math.abs(b.x - a.x) / 2,
+      Math.abs(b.y - a.y) / 2
+    );
+  }
+
+  /**
+   * Fill every grid whose center lies inside a shape with the active brush mode
+   * 使用当前画笔模式填充中心位于形状内的所有网格
+   * @param {PIXI.Polygon|PIXI.Ellipse} shape
+   * @param {{x: number, y: number}} anchor  First clicked point, flatten copies its grid's height
+   * @param {string} label                   History operation label
+   */
+  fillShape(shape, anchor, label) {
+    const gridPositions = this.heightManager.getGridsInShape(shape);
+    if (gridPositions.length === 0) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.ShapeFill.Empty"));
+      return;
+    }
+
+    gridPositions.forEach(({ x, y }) => {
+      const element = this.gridElements.get(`${x},${y}`);
+      if (element) {
+        this.animateHeightChange(element);
+      }
+    });
+
+    const start = this.heightManager.getGridFromPoint(anchor.x, anchor.y);
+    this.heightManager.beginOperation(label);
+    this.applyBrushToGrids(gridPositions, this.heightManager.getGridHeight(start.x, start.y));
+    this.heightManager.commitOperation();
+
+    ui.notifications.info(game.i18n.format("MAP_HEIGHT.ShapeFill.Filled", { count: gridPositions.length }));
+  }
+
+  /**
+   * Apply the active brush mode to a set of grids in one flag update
+   * 在一次标志更新中对一组网格应用当前画笔模式
+   * @param {{x: number, y: number}[]} gridPositions
+   * @param {number} reference  Height the flatten mode copies
+   */
+  applyBrushToGrids(gridPositions, reference) {
+    const mode = this.getBrushMode();
+    if (mode === "set") {
+      return this.heightManager.setAreaHeights(gridPositions, window.MapHeightEditor.currentBrushHeight || 0);
+    }
+
+    const options = { ...this.getBrushOptions(), reference };
+    return this.heightManager.setGridHeights(this.heightManager.getBrushHeights(gridPositions, mode, options));
+  }
+
+  /**
+   * Start drawing a region
+   * 开始绘制区域
+   */
+  startRegionDraft(shape, point) {
+    this.cancelRegionDraft();
+    this.regionDraft = { shape, points: [point] };
+
+    canvas.stage.on('pointermove', this.boundOnRegionPointerMove);
+    this.drawRegionPreview(point);
+  }
+
+  /**
+   * Follow the pointer while a region is being drawn
+   * 绘制区域时跟随指针
+   */
+  onRegionPointerMove(event) {
+    if (!this.regionDraft) return;
+
+    const worldPos = event.data.getLocalPosition(canvas.stage);
+    this.drawRegionPreview(worldPos);
+  }
+
+  /**
+   * Draw the preview of the region being drawn
+   * 绘制正在绘制的区域的预览
+   */
+  drawRegionPreview(cursor) {
+    if (!this.regionDraft) return;
+
+    if (this.regionPreview) {
+      this.removeChild(this.regionPreview);
+      this.regionPreview.destroy();
+    }
+
+    this.regionPreview = new PIXI.Graphics();
+    this.regionPreview.eventMode = 'none';
+    this.regionPreview.lineStyle(3, 0xFFFF00, 0.8); // Yellow outline, same as rectangle preview
+    this.regionPreview.beginFill(0xFFFF00, 0.1);
+
+    const [first, ...rest] = this.regionDraft.points;
+    if (this.regionDraft.shape === "circle") {
+      this.regionPreview.drawCircle(first.x, first.y, Math.hypot(cursor.x - first.x, cursor.y - first.y));
+    } else if (this.regionDraft.shape === "ellipse") {
+      const ellipse = this.getEllipseFromCorners(first, cursor);
+      this.regionPreview.drawEllipse(ellipse.x, ellipse.y, ellipse.width, ellipse.height);
+    } else {
+      this.regionPreview.moveTo(first.x, first.y);
+      rest.forEach(p => this.regionPreview.lineTo(p.x, p.y));
+      this.regionPreview.lineTo(cursor.x, cursor.y);
+      this.regionPreview.closePath();
+    }
+    this.regionPreview.endFill();
+
+    this.addChild(this.regionPreview);
+  }
+
+  /**
+   * Cancel the region being drawn
+   * 取消正在绘制的区域
+   */
+  cancelRegionDraft() {
+    this.regionDraft = null;
+    canvas.stage?.off('pointermove', this.boundOnRegionPointerMove);
+
+    if (this.regionPreview) {
+      this.removeChild(this.regionPreview);
+      this.regionPreview.destroy();
+      this.regionPreview = null;
+    }
+  }
+
+  /**
+   * Handle region changes
+   * 处理区域变化
+   */
+  onRegionChanged(data) {
+    if (data.action === "delete" && data.region.id === this.selectedRegionId) {
+      this.selectedRegionId = null;
+    }
+
+    if (this.isVisible && this.heightManager.isGridless) {
+      this.renderRegions();
+    }
+  }
+
+  /**
+   * Handle wholesale data replacement (import, clear, save from another client)
+   * 处理数据整体替换（导入、清除、其他客户端保存）
+   */
+  onDataReplaced() {
+    if (this.isVisible) {
+      this.refresh();
+    }
+  }
+
   /**
    * Handle canvas transform events
    * 处理canvas变换事件
    */
   onCanvasTransform() {
-    if (!this.isVisible) return;
+    // Regions live in world space and don't need viewport culling
+    // 区域位于世界坐标中，无需视口裁剪
+    if (!this.isVisible || this.heightManager.isGridless) return;
     
     // Update viewport and re-render
     this.updateViewport();
@@ -674,16 +1300,17 @@ export default class HeightOverlay extends PIXI.Container {
         (updateData.hasOwnProperty('padding') || 
          updateData.hasOwnProperty('width') || 
          updateData.hasOwnProperty('height') ||
-         updateData.hasOwnProperty('gridSize'))) {
-      
+         updateData.hasOwnProperty('gridSize') ||
+         updateData.hasOwnProperty('grid') ||
+         updateData.hasOwnProperty('background'))) {
       
-      // Update grid parameters and refresh overlay
-      this.updateGridParameters();
       
-      // Also update height-manager grid parameters to keep them in sync
+      // Rebuild the shared coordinate service first, then copy its parameters
+      // 先重建共享坐标服务，再复制其参数
       if (window.MapHeightEditor?.heightManager) {
         window.MapHeightEditor.heightManager.updateGridParameters();
       }
+      this.updateGridParameters();
       
       if (this.isVisible) {
         this.refresh();
@@ -736,6 +1363,7 @@ export default class HeightOverlay extends PIXI.Container {
       // 第一个点 - 开始矩形选择
       this.rectangleMode = true;
       this.rectangleFirstPoint = { x: gridX, y: gridY };
+      this.clearBrushPreview();
       this.highlightFirstPoint(gridX, gridY);
 
       // Show notification
@@ -744,13 +1372,63 @@ export default class HeightOverlay extends PIXI.Container {
     }
   }
 
+  /**
+   * Handle a gradient tool click
+   * The first click stores the start corner and the current brush height,
+   * the second click fills the rectangle up to the brush height at that moment
+   * 处理渐变工具点击
+   * 第一次点击记录起点角和当前画笔高度，
+   * 第二次点击以此时的画笔高度作为终点填充矩形
+   */
+  handleGradientClick(gridX, gridY) {
+    const height = window.MapHeightEditor.currentBrushHeight || 0;
+
+    if (this.rectangleMode && this.rectangleFirstPoint && this.gradientStartHeight !== null) {
+      const start = { ...this.rectangleFirstPoint, height: this.gradientStartHeight };
+      this.fillGradient(start, { x: gridX, y: gridY, height });
+      this.clearRectangleSelection();
+
+      ui.notifications.info(game.i18n.format("MAP_HEIGHT.Gradient.Filled", { start: start.height, end: height }));
+      return;
+    }
+
+    // A Shift-rectangle that was started with another tool is replaced
+    // 替换使用其他工具开始的Shift矩形选择
+    this.clearRectangleSelection();
+    this.rectangleMode = true;
+    this.rectangleFirstPoint = { x: gridX, y: gridY };
+    this.gradientStartHeight = height;
+    this.clearBrushPreview();
+    this.highlightFirstPoint(gridX, gridY);
+
+    ui.notifications.info(game.i18n.format("MAP_HEIGHT.Gradient.StartSelected", { height }));
+  }
+
+  /**
+   * Fill the rectangle between two corners with interpolated heights
+   * 用插值高度填充两个角之间的矩形
+   */
+  fillGradient(start, end) {
+    const step = Number(game.settings.get(MODULE_ID, "gradientStep")) || 0;
+    const entries = this.heightManager.getGradientHeights(start, end, step);
+
+    entries.forEach(({ x, y }) => {
+      const element = this.gridElements.get(`${x},${y}`);
+      if (element) {
+        this.animateHeightChange(element);
+      }
+    });
+
+    this.heightManager.beginOperation("gradient");
+    this.heightManager.setGridHeights(entries);
+    this.heightManager.commitOperation();
+  }
+
   /**
    * Fill rectangle area with current brush height
    * 用当前画笔高度填充矩形区域
    */
   fillRectangle(x1, y1, x2, y2) {
-    const currentHeight = window.MapHeightEditor.currentBrushHeight || 0;
-
     // Calculate bounds
     // 计算边界
     const minX = Math.min(x1, x2);
@@ -758,12 +1436,11 @@ export default class HeightOverlay extends PIXI.Container {
     const minY = Math.min(y1, y2);
     const maxY = Math.max(y1, y2);
 
-    // Fill all grids in rectangle
-    // 填充矩形内所有网格
+    // Fill all grids in rectangle as one undoable operation and one flag update
+    // 将填充矩形内所有网格作为一个可撤销操作和一次标志更新
     const gridPositions = [];
     for (let x = minX; x <= maxX; x++) {
       for (let y = minY; y <= maxY; y++) {
-        this.heightManager.setGridHeight(x, y, currentHeight);
         gridPositions.push({ x, y });
 
         // Visual feedback for each grid
@@ -775,12 +1452,45 @@ export default class HeightOverlay extends PIXI.Container {
       }
     }
 
-    // Fire area height changed hook
+    // Fires the areaHeightChanged hook
     // 触发区域高度变化钩子
-    Hooks.callAll(`${MODULE_ID}.areaHeightChanged`, {
-      gridPositions,
-      height: currentHeight
+    // Flatten copies the first corner's height
+    // 整平使用第一个角的高度
+    this.heightManager.beginOperation("rectangle");
+    this.applyBrushToGrids(gridPositions, this.heightManager.getGridHeight(x1, y1));
+    this.heightManager.commitOperation();
+  }
+
+  /**
+   * Replace the contiguous area sharing the clicked grid's height with the brush height
+   * 用画笔高度替换与点击网格高度相同的连续区域
+   */
+  floodFill(gridX, gridY) {
+    const currentHeight = window.MapHeightEditor.currentBrushHeight || 0;
+    const limit = game.settings.get(MODULE_ID, "floodFillLimit");
+    const diagonals = game.settings.get(MODULE_ID, "floodFillConnectivity") === "8";
+
+    const { grids, height, truncated } = this.heightManager.getFloodFillGrids(gridX, gridY, { diagonals, limit });
+    if (truncated) {
+      ui.notifications.warn(game.i18n.format("MAP_HEIGHT.FloodFill.TooLarge", { limit }));
+      return;
+    }
+    if (height === currentHeight) return;
+
+    grids.forEach(({ x, y }) => {
+      const element = this.gridElements.get(`${x},${y}`);
+      if (element) {
+        this.animateHeightChange(element);
+      }
     });
+
+    // Fires the areaHeightChanged hook
+    // 触发区域高度变化钩子
+    this.heightManager.beginOperation("fill");
+    this.heightManager.setAreaHeights(grids, currentHeight);
+    this.heightManager.commitOperation();
+
+    ui.notifications.info(game.i18n.format("MAP_HEIGHT.FloodFill.Filled", { count: grids.length }));
   }
 
   /**
@@ -822,14 +1532,23 @@ export default class HeightOverlay extends PIXI.Container {
     const minY = Math.min(y1, y2);
     const maxY = Math.max(y1, y2);
 
-    // Draw rectangle in world coordinates
-    // 在世界坐标系中绘制矩形
-    const worldX = minX * this.gridSize + this.gridOffsetX;
-    const worldY = minY * this.gridSize + this.gridOffsetY;
-    const width = (maxX - minX + 1) * this.gridSize;
-    const height = (maxY - minY + 1) * this.gridSize;
+    if (this.heightManager.isHex) {
+      // Hex rectangles are ragged, outline every cell in the offset range
+      // 六边形矩形边缘不规则，逐个绘制偏移范围内的格子
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          this.drawGridCell(this.rectanglePreview, x, y);
+        }
+      }
+    } else {
+      // Draw rectangle in world coordinates
+      // 在世界坐标系中绘制矩形
+      const topLeft = this.heightManager.getGridTopLeft(minX, minY);
+      const width = (maxX - minX + 1) * this.gridSize;
+      const height = (maxY - minY + 1) * this.gridSize;
 
-    this.rectanglePreview.drawRect(worldX, worldY, width, height);
+      this.rectanglePreview.drawRect(topLeft.x, topLeft.y, width, height);
+    }
     this.rectanglePreview.endFill();
 
     // Add to overlay
@@ -837,6 +1556,15 @@ export default class HeightOverlay extends PIXI.Container {
     this.addChild(this.rectanglePreview);
   }
 
+  /**
+   * Draw the outline of a single grid cell in world coordinates
+   * 在世界坐标系中绘制单个网格单元的轮廓
+   */
+  drawGridCell(graphics, gridX, gridY) {
+    const points = this.heightManager.getGridPolygon(gridX, gridY).flatMap(p => [p.x, p.y]);
+    graphics.drawPolygon(points);
+  }
+
   /**
    * Highlight first point of rectangle selection
    * 高亮矩形选择的第一个点
@@ -862,12 +1590,9 @@ export default class HeightOverlay extends PIXI.Container {
     this.rectangleHighlight.eventMode = 'none'; // Completely disable event handling
     this.rectangleHighlight.hitArea = new PIXI.Rectangle(0, 0, 0, 0); // Empty hit area
 
-    // Draw highlight square
-    // 绘制高亮方块
-    const worldX = gridX * this.gridSize + this.gridOffsetX;
-    const worldY = gridY * this.gridSize + this.gridOffsetY;
-
-    this.rectangleHighlight.drawRect(worldX, worldY, this.gridSize, this.gridSize);
+    // Draw highlight cell
+    // 绘制高亮格子
+    this.drawGridCell(this.rectangleHighlight, gridX, gridY);
     this.rectangleHighlight.endFill();
 
     // Add to overlay
@@ -896,6 +1621,7 @@ export default class HeightOverlay extends PIXI.Container {
   clearRectangleSelection() {
     this.rectangleMode = false;
     this.rectangleFirstPoint = null;
+    this.gradientStartHeight = null;
 
     // Remove preview
     // 移除预览
@@ -919,6 +1645,33 @@ export default class HeightOverlay extends PIXI.Container {
    * 处理键盘事件
    */
   onKeyDown(event) {
+    // ESC cancels a region being drawn
+    // ESC 键取消正在绘制的区域
+    if (event.key === 'Escape' && this.regionDraft) {
+      event.preventDefault();
+      event.stopPropagation();
+
+      this.cancelRegionDraft();
+      ui.notifications.info(game.i18n.localize(this.heightManager.isGridless
+        ? "MAP_HEIGHT.Regions.DrawingCancelled"
+        : "MAP_HEIGHT.ShapeFill.Cancelled"));
+      return;
+    }
+
+    // Delete removes the selected region
+    // Delete 键删除选中的区域
+    if ((event.key === 'Delete' || event.key === 'Backspace') && this.isVisible && this.selectedRegionId) {
+      const activeElement = document.activeElement;
+      if (activeElement?.tagName === 'INPUT' || activeElement?.tagName === 'TEXTAREA') return;
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      this.heightManager.removeRegion(this.selectedRegionId);
+      ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Regions.RegionDeleted"));
+      return;
+    }
+
     // Only handle ESC key when rectangle mode is active
     // 仅在矩形模式激活时处理 ESC 键
     if (event.key === 'Escape' && this.rectangleMode && this.rectangleFirstPoint) {
@@ -939,8 +1692,11 @@ export default class HeightOverlay extends PIXI.Container {
    */
   destroy() {
     this.hide();
+    this.clearChangePreview();
     this.clearAllGrids();
+    this.clearAllRegions();
     this.clearRectangleSelection();
+    this.cancelRegionDraft();
 
     // Remove keyboard event listener
     // 移除键盘事件监听器
@@ -0,0 +1,560 @@
+/**
+ * FVTT Map Height Editor - Selection Tool
+ * Grid selections with copy, cut, paste, rotate, mirror and nudge
+ * 选择工具 - 支持复制、剪切、粘贴、旋转、镜像和微移的网格选择
+ */
+
+const MODULE_ID = "fvtt-map-height";
+
+/**
+ * SelectionTool class - selects grids on the height layer and moves terrain pieces around
+ * 选择工具类 - 在高度层上选择网格并移动地形块
+ *
+ * - Select tool: two clicks select a rectangle; the selection lasso closes with a double-click;
+ *   the height range tool selects every scene grid within a range. Holding Shift adds to the selection.
+ * - Ctrl+C / Ctrl+X copy or cut the selection to the module clipboard, which is kept when the scene changes
+ * - Ctrl+V shows a ghost of the clipboard under the cursor and the next click pastes it
+ * - R rotates 90° clockwise (Shift+R counter-clockwise), M mirrors left-right (Shift+M top-bottom),
+ *   while pasting they transform the ghost, otherwise the selected grids in place
+ * - Arrow keys nudge the selected grids by one grid
+ *
+ * Clipboard cells are stored relative to an anchor grid: column/row deltas on square grids,
+ * cube deltas on hex grids so that pasted shapes keep their form on any row or column.
+ */
+export default class SelectionTool {
+
+  static TOOLS = ["select", "select-lasso"];
+
+  constructor(heightManager, overlay) {
+    this.heightManager = heightManager;
+    this.overlay = overlay;
+
+    this.selection = new Set(); // Selected grid keys
+    this.rectangleStart = null; // First corner of a rectangle selection {x, y}
+
+    // Module clipboard - { grid: "square"|"hex", cells: [{ dx, dy, height }] }
+    // 模块剪贴板
+    this.clipboard = null;
+    this.pasting = false;
+    this.pasteGrid = null; // Grid under the cursor while pasting
+
+    this.selectionGraphics = null;
+    this.ghostGraphics = null;
+
+    this.initialize();
+  }
+
+  /**
+   * Initialize hooks
+   * 初始化钩子
+   */
+  initialize() {
+    // Selections belong to a scene, the clipboard does not
+    // 选择属于场景，剪贴板则不属于
+    Hooks.on('canvasReady', () => {
+      this.cancelPaste();
+      this.clearSelection();
+    });
+  }
+
+  /**
+   * Check whether a selection tool is the active scene control tool
+   * 检查当前场景控制工具是否为选择工具
+   */
+  isActive() {
+    return SelectionTool.TOOLS.includes(ui.controls.activeTool);
+  }
+
+  /**
+   * Get the grid layout the clipboard coordinates depend on
+   * 获取剪贴板坐标所依赖的网格布局
+   */
+  get gridKind() {
+    return this.heightManager.isHex ? "hex" : "square";
+  }
+
+  /**
+   * Check whether Shift is held, which adds to the selection
+   * 检查是否按住Shift（添加到选择）
+   */
+  isAdditive() {
+    return game.keyboard.isModifierActive(KeyboardManager.MODIFIER_KEYS.SHIFT);
+  }
+
+  /**
+   * Handle a click with a selection tool, or while pasting
+   * 处理选择工具的点击或粘贴时的点击
+   * @param {number} gridX
+   * @param {number} gridY
+   * @param {{x: number, y: number}} point  Canvas point of the click
+   */
+  handleClick(gridX, gridY, point) {
+    if (this.pasting) {
+      this.paste(gridX, gridY);
+      return;
+    }
+
+    if (ui.controls.activeTool === "select-lasso") {
+      this.overlay.handleShapeClick(point);
+      return;
+    }
+
+    // Rectangle: the first click picks a corner, the second one selects
+    // 矩形：第一次点击选择一个角，第二次点击完成选择
+    if (this.rectangleStart && this.overlay.rectangleFirstPoint) {
+      const start = this.rectangleStart;
+      this.overlay.clearRectangleSelection();
+      this.rectangleStart = null;
+
+      const grids = [];
+      for (let x = Math.min(start.x, gridX); x <= Math.max(start.x, gridX); x++) {
+        for (let y = Math.min(start.y, gridY); y <= Math.max(start.y, gridY); y++) {
+          grids.push({ x, y });
+        }
+      }
+      this.setSelection(grids, this.isAdditive());
+      return;
+    }
+
+    this.overlay.clearRectangleSelection();
+    this.overlay.rectangleMode = true;
+    this.overlay.rectangleFirstPoint = { x: gridX, y: gridY };
+    this.overlay.highlightFirstPoint(gridX, gridY);
+    this.rectangleStart = { x: gridX, y: gridY };
+  }
+
+  /**
+   * Select the grids inside a closed lasso
+   * 选择闭合套索内的网格
+   */
+  selectShape(shape) {
+    this.setSelection(this.heightManager.getGridsInShape(shape), this.isAdditive());
+  }
+
+  /**
+   * Ask for a height range and select every scene grid within it
+   * 询问高度范围并选择该范围内的所有场景网格
+   */
+  async promptHeightRange() {
+    const content = `
+      <form class="map-height-selection-range">
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Selection.RangeMin")}</label>
+          <input type="number" name="min" value="0" step="any">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Selection.RangeMax")}</label>
+          <input type="number" name="max" value="10" step="any">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("MAP_HEIGHT.Selection.AddToSelection")}</label>
+          <input type="checkbox" name="additive">
+        </div>
+      </form>
+    `;
+
+    const range = await Dialog.prompt({
+      title: game.i18n.localize("MAP_HEIGHT.Controls.SelectRange"),
+      content,
+      label: game.i18n.localize("MAP_HEIGHT.Selection.Select"),
+      rejectClose: false,
+      callback: html => {
+        const form = html[0].querySelector("form");
+        return {
+          min: Number(form.min.value),
+          max: Number(form.max.value),
+          additive: form.additive.checked
+        };
+      }
+    });
+    if (!range || !Number.isFinite(range.min) || !Number.isFinite(range.max)) return;
+
+    this.selectHeightRange(Math.min(range.min, range.max), Math.max(range.min, range.max), range.additive);
+  }
+
+  /**
+   * Select every scene grid whose height lies within a range
+   * 选择高度位于范围内的所有场景网格
+   */
+  selectHeightRange(min, max, additive = false) {
+    const bounds = this.heightManager.getSceneGridBounds();
+    const grids = [];
+
+    for (let x = bounds.left; x <= bounds.right; x++) {
+      for (let y = bounds.top; y <= bounds.bottom; y++) {
+        const height = this.heightManager.getGridHeight(x, y);
+        if (height >= min && height <= max) {
+          grids.push({ x, y });
+        }
+      }
+    }
+
+    this.setSelection(grids, additive);
+  }
+
+  /**
+   * Replace or extend the selection
+   * 替换或扩展选择
+   */
+  setSelection(grids, additive = false) {
+    if (!additive) this.selection.clear();
+    grids.forEach(({ x, y }) => this.selection.add(this.heightManager.getGridKey(x, y)));
+
+    this.drawSelection();
+    ui.notifications.info(game.i18n.format("MAP_HEIGHT.Selection.Selected", { count: this.selection.size }));
+  }
+
+  /**
+   * Clear the selection
+   * 清除选择
+   */
+  clearSelection() {
+    this.selection.clear();
+    this.rectangleStart = null;
+    this.drawSelection();
+  }
+
+  /**
+   * Get the selected grids with their heights
+   * 获取选中的网格及其高度
+   */
+  getSelectedCells() {
+    return [...this.selection].map(key => {
+      const { x, y } = this.heightManager.parseGridKey(key);
+      return { x, y, height: this.heightManager.getGridHeight(x, y) };
+    });
+  }
+
+  /**
+   * Convert grids to cells relative to an anchor grid
+   * 将网格转换为相对于锚点网格的单元
+   */
+  toRelative(cells, anchor) {
+    if (this.heightManager.isHex) {
+      const origin = this.heightManager.gridToCube(anchor.x, anchor.y);
+      return cells.map(cell => {
+        const cube = this.heightManager.gridToCube(cell.x, cell.y);
+        return { dx: cube.q - origin.q, dy: cube.r - origin.r, height: cell.height };
+      });
+    }
+
+    return cells.map(cell => ({ dx: cell.x - anchor.x, dy: cell.y - anchor.y, height: cell.height }));
+  }
+
+  /**
+   * Place relative cells at an anchor grid
+   * 将相对单元放置到锚点网格
+   */
+  fromRelative(cells, anchor) {
+    if (this.heightManager.isHex) {
+      const origin = this.heightManager.gridToCube(anchor.x, anchor.y);
+      return cells.map(cell => {
+        const q = origin.q + cell.dx;
+        const r = origin.r + cell.dy;
+        return { ...this.heightManager.cubeToGrid({ q, r, s: -q - r }), height: cell.height };
+      });
+    }
+
+    return cells.map(cell => ({ x: anchor.x + cell.dx, y: anchor.y + cell.dy, height: cell.height }));
+  }
+
+  /**
+   * Get the top-left grid of a set of grids
+   * 获取一组网格的左上角网格
+   */
+  getAnchor(cells) {
+    return {
+      x: Math.min(...cells.map(cell => cell.x)),
+      y: Math.min(...cells.map(cell => cell.y))
+    };
+  }
+
+  /**
+   * Copy the selection to the clipboard
+   * 将选择复制到剪贴板
+   */
+  copy() {
+    const cells = this.getSelectedCells();
+    if (cells.length === 0) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Selection.NothingSelected"));
+      return false;
+    }
+
+    this.clipboard = {
+      grid: this.gridKind,
+      cells: this.toRelative(cells, this.getAnchor(cells))
+    };
+
+    ui.notifications.info(game.i18n.format("MAP_HEIGHT.Selection.Copied", { count: cells.length }));
+    return true;
+  }
+
+  /**
+   * Copy the selection to the clipboard and clear its heights
+   * 将选择复制到剪贴板并清除其高度
+   */
+  async cut() {
+    if (!this.copy()) return;
+
+    const entries = this.getSelectedCells().map(({ x, y }) => ({ x, y, height: 0 }));
+    this.heightManager.beginOperation("cut");
+    await this.heightManager.setGridHeights(entries);
+    this.heightManager.commitOperation();
+
+    this.clearSelection();
+  }
+
+  /**
+   * Start pasting - the clipboard follows the cursor as a ghost
+   * 开始粘贴 - 剪贴板内容以虚影形式跟随光标
+   */
+  startPaste() {
+    if (!this.clipboard) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Selection.ClipboardEmpty"));
+      return;
+    }
+    if (this.clipboard.grid !== this.gridKind) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Selection.GridMismatch"));
+      return;
+    }
+
+    this.pasting = true;
+    this.pasteGrid = this.overlay.hoverGrid;
+    this.drawGhost();
+
+    ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Selection.PasteHint"));
+  }
+
+  /**
+   * Paste the clipboard with its anchor on a grid
+   * 以某网格为锚点粘贴剪贴板内容
+   */
+  async paste(gridX, gridY) {
+    const bounds = this.heightManager.getCanvasGridBounds();
+    const entries = this.fromRelative(this.clipboard.cells, { x: gridX, y: gridY })
+      .filter(({ x, y }) => x >= bounds.left && x <= bounds.right && y >= bounds.top && y <= bounds.bottom);
+
+    this.cancelPaste();
+
+    this.heightManager.beginOperation("paste");
+    await this.heightManager.setGridHeights(entries);
+    this.heightManager.commitOperation();
+
+    // The pasted grids become the selection, ready to be nudged
+    // 粘贴的网格成为新的选择，便于微移
+    this.selection = new Set(entries.map(({ x, y }) => this.heightManager.getGridKey(x, y)));
+    this.drawSelection();
+  }
+
+  /**
+   * Stop pasting
+   * 停止粘贴
+   */
+  cancelPaste() {
+    this.pasting = false;
+    this.pasteGrid = null;
+    this.drawGhost();
+  }
+
+  /**
+   * Follow the cursor while pasting
+   * 粘贴时跟随光标
+   */
+  onHover(gridX, gridY) {
+    if (!this.pasting) return;
+
+    this.pasteGrid = { x: gridX, y: gridY };
+    this.drawGhost();
+  }
+
+  /**
+   * Rotate or mirror relative cells inside their bounding box
+   * Only square grids, where a quarter turn maps grids onto grids
+   * 在包围盒内旋转或镜像相对单元
+   * 仅限方形网格，四分之一旋转可将网格映射到网格
+   * @param {object[]} cells       Relative cells { dx, dy, height }
+   * @param {string} transform     "rotate-cw", "rotate-ccw", "mirror-x" or "mirror-y"
+   */
+  transformCells(cells, transform) {
+    const width = Math.max(...cells.map(cell => cell.dx)) - Math.min(...cells.map(cell => cell.dx));
+    const height = Math.max(...cells.map(cell => cell.dy)) - Math.min(...cells.map(cell => cell.dy));
+    const minX = Math.min(...cells.map(cell => cell.dx));
+    const minY = Math.min(...cells.map(cell => cell.dy));
+
+    return cells.map(cell => {
+      const x = cell.dx - minX;
+      const y = cell.dy - minY;
+      switch (transform) {
+        case "rotate-cw": return { dx: height - y, dy: x, height: cell.height };
+        case "rotate-ccw": return { dx: y, dy: width - x, height: cell.height };
+        case "mirror-x": return { dx: width - x, dy: y, height: cell.height };
+        case "mirror-y": return { dx: x, dy: height - y, height: cell.height };
+        default: return { dx: x, dy: y, height: cell.height };
+      }
+    });
+  }
+
+  /**
+   * Rotate or mirror the ghost while pasting, otherwise the selected grids in place
+   * 粘贴时旋转或镜像虚影，否则原地旋转或镜像选中的网格
+   */
+  async transform(transform) {
+    if (this.heightManager.isHex) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Selection.SquareGridOnly"));
+      return;
+    }
+
+    if (this.pasting) {
+      this.clipboard.cells = this.transformCells(this.clipboard.cells, transform);
+      this.drawGhost();
+      return;
+    }
+
+    const cells = this.getSelectedCells();
+    if (cells.length === 0) return;
+
+    const anchor = this.getAnchor(cells);
+    const moved = this.fromRelative(this.transformCells(this.toRelative(cells, anchor), transform), anchor);
+    await this.moveCells(cells, moved);
+  }
+
+  /**
+   * Move the selected grids by whole grids
+   * 按整格移动选中的网格
+   */
+  async nudge(dx, dy) {
+    const cells = this.getSelectedCells();
+    if (cells.length === 0) return;
+
+    const anchor = this.getAnchor(cells);
+    const moved = this.fromRelative(this.toRelative(cells, anchor), { x: anchor.x + dx, y: anchor.y + dy });
+    await this.moveCells(cells, moved);
+  }
+
+  /**
+   * Replace grids by their moved copies as one operation
+   * Grids left behind are cleared, the moved grids become the selection
+   * 将网格替换为移动后的副本，作为一个操作
+   * 留下的网格被清除，移动后的网格成为新的选择
+   */
+  async moveCells(cells, moved) {
+    const entries = new Map();
+    cells.forEach(({ x, y }) => entries.set(this.heightManager.getGridKey(x, y), { x, y, height: 0 }));
+    moved.forEach(cell => entries.set(this.heightManager.getGridKey(cell.x, cell.y), cell));
+
+    this.heightManager.beginOperation("transform");
+    await this.heightManager.setGridHeights([...entries.values()]);
+    this.heightManager.commitOperation();
+
+    this.selection = new Set(moved.map(({ x, y }) => this.heightManager.getGridKey(x, y)));
+    this.drawSelection();
+  }
+
+  /**
+   * Handle selection shortcuts, called by the keyboard handler
+   * 处理选择快捷键（由键盘处理器调用）
+   * @returns {boolean}  Whether the event was handled
+   */
+  onKeyDown(event) {
+    if (!this.isActive() && !this.pasting) return false;
+
+    const ctrl = event.ctrlKey || event.metaKey;
+    const nudges = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+
+    if (ctrl && event.code === 'KeyC') {
+      this.copy();
+    } else if (ctrl && event.code === 'KeyX') {
+      this.cut();
+    } else if (ctrl && event.code === 'KeyV') {
+      this.startPaste();
+    } else if (ctrl) {
+      return false;
+    } else if (event.code === 'KeyR' && (this.pasting || this.selection.size > 0)) {
+      this.transform(event.shiftKey ? "rotate-ccw" : "rotate-cw");
+    } else if (event.code === 'KeyM' && (this.pasting || this.selection.size > 0)) {
+      this.transform(event.shiftKey ? "mirror-y" : "mirror-x");
+    } else if (nudges[event.code] && this.selection.size > 0 && !this.pasting) {
+      this.nudge(...nudges[event.code]);
+    } else if (event.key === 'Escape' && this.pasting) {
+      this.cancelPaste();
+    } else if (event.key === 'Escape' && this.selection.size > 0 && !this.overlay.rectangleFirstPoint && !this.overlay.regionDraft) {
+      this.clearSelection();
+    } else {
+      return false;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    return true;
+  }
+
+  /**
+   * Outline the selected grids
+   * 绘制选中网格的轮廓
+   */
+  drawSelection() {
+    if (this.selectionGraphics) {
+      this.overlay.removeChild(this.selectionGraphics);
+      this.selectionGraphics.destroy();
+      this.selectionGraphics = null;
+    }
+    if (this.selection.size === 0) return;
+
+    this.selectionGraphics = this.createGraphics(0x00FFFF);
+    for (const key of this.selection) {
+      const { x, y } = this.heightManager.parseGridKey(key);
+      this.overlay.drawGridCell(this.selectionGraphics, x, y);
+    }
+    this.selectionGraphics.endFill();
+
+    this.overlay.addChild(this.selectionGraphics);
+  }
+
+  /**
+   * Draw the clipboard ghost under the cursor
+   * 在光标下绘制剪贴板虚影
+   */
+  drawGhost() {
+    if (this.ghostGraphics) {
+      this.overlay.removeChild(this.ghostGraphics);
+      this.ghostGraphics.destroy();
+      this.ghostGraphics = null;
+    }
+    if (!this.pasting || !this.pasteGrid) return;
+
+    this.ghostGraphics = this.createGraphics(0xFF00FF);
+    for (const { x, y } of this.fromRelative(this.clipboard.cells, this.pasteGrid)) {
+      this.overlay.drawGridCell(this.ghostGraphics, x, y);
+    }
+    this.ghostGraphics.endFill();
+
+    this.overlay.addChild(this.ghostGraphics);
+  }
+
+  /**
+   * Create non-interactive outline graphics
+   * 创建不可交互的轮廓图形
+   */
+  createGraphics(color) {
+    const graphics = new PIXI.Graphics();
+    graphics.lineStyle(2, color, 0.9);
+    graphics.beginFill(color, 0.15);
+
+    // Make completely non-interactive so it doesn't block click events
+    // 完全禁用交互，确保不会阻挡点击事件
+    graphics.eventMode = 'none';
+    graphics.interactiveChildren = false;
+
+    return graphics;
+  }
+
+  /**
+   * Destroy the selection tool
+   * 销毁选择工具
+   */
+  destroy() {
+    this.cancelPaste();
+    this.clearSelection();
+    this.clipboard = null;
+  }
+}
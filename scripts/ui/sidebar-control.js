@@ -90,6 +90,11 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
       isGM: game.user.isGM,
       isEditMode: this.isEditMode,
       currentBrushHeight: this.currentBrushHeight,
+      brushMode: window.MapHeightEditor.heightOverlay?.getBrushMode() ?? "set",
+      brushModes: Object.fromEntries(this.heightManager.constructor.BRUSH_MODES.map(mode =>
+        [mode, game.i18n.localize(`MAP_HEIGHT.Controls.BrushModes.${mode}`)]
+      )),
+      brushClamp: window.MapHeightEditor.brushClamp,
       autoUpdate: game.settings.get(MODULE_ID, "autoUpdateTokens"),
       heightEnabled: this.heightManager?.enabled || false,
 
@@ -108,22 +113,22 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
   }
 
   /**
-   * Get list of exception tokens with details
-   * 获取例外Token的详细列表
+   * Get list of exceptions (scene and world) with details
+   * 获取例外（场景和世界）的详细列表
    */
   getExceptionTokenList() {
-    if (!this.heightManager || !canvas.tokens) return [];
+    if (!this.heightManager) return [];
     
     const exceptions = [];
     
-    for (const tokenId of this.heightManager.exceptTokens) {
-      const token = canvas.tokens.get(tokenId);
-      if (token) {
+    for (const level of ["scene", "world"]) {
+      for (const exception of this.heightManager.getExceptions(level)) {
         exceptions.push({
-          id: tokenId,
-          name: token.document.name,
-          img: token.document.texture.src,
-          actor: token.actor?.name || "Unknown"
+          ...exception,
+          ...this.describeException(exception),
+          level,
+          scopeLabel: game.i18n.localize(`MAP_HEIGHT.Dialog.ExceptionManagement.Scopes.${exception.scope}`),
+          levelLabel: game.i18n.localize(`MAP_HEIGHT.Dialog.ExceptionManagement.Levels.${level}`)
         });
       }
     }
@@ -131,6 +136,33 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
     return exceptions;
   }
 
+  /**
+   * Resolve the display name and image of an exception
+   * 解析例外的显示名称和图像
+   */
+  describeException({ scope, id }) {
+    switch (scope) {
+      case "token": {
+        const token = canvas.tokens?.get(id);
+        return token
+          ? { name: token.document.name, img: token.document.texture.src }
+          : { name: id, icon: "fas fa-user" };
+      }
+      case "actor": {
+        const actor = game.actors.get(id);
+        return actor ? { name: actor.name, img: actor.img } : { name: id, icon: "fas fa-user" };
+      }
+      case "folder":
+        return { name: game.folders.get(id)?.name || id, icon: "fas fa-folder" };
+      case "disposition": {
+        const key = Object.keys(CONST.TOKEN_DISPOSITIONS).find(k => String(CONST.TOKEN_DISPOSITIONS[k]) === id);
+        return { name: key ? game.i18n.localize(`TOKEN.DISPOSITION.${key}`) : id, icon: "fas fa-users" };
+      }
+      default:
+        return { name: id, icon: "fas fa-question" };
+    }
+  }
+
   /**
    * ApplicationV2 event listeners
    * ApplicationV2事件监听器
@@ -180,6 +212,14 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
         return this._onExportData(event);
       case 'import-data':
         return this._onImportData(event);
+      case 'export-image':
+        return window.MapHeightEditor?.HeightmapIO?.promptImageExport(this.heightManager);
+      case 'export-csv':
+        return window.MapHeightEditor?.HeightmapIO?.exportCsvFile(this.heightManager);
+      case 'copy-scene':
+        return this._onCopyScene(event);
+      case 'generate-heights':
+        return this._onGenerateHeights(event);
       case 'remove-exception':
         return this._onRemoveException(event);
       case 'add-exception':
@@ -195,6 +235,38 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
     if (event.target.name === 'autoUpdate') {
       return this._onSettingChange(event);
     }
+    if (event.target.name === 'brushMode') {
+      return this._onBrushModeChange(event);
+    }
+    if (event.target.name === 'clampMin' || event.target.name === 'clampMax') {
+      return this._onClampChange(event);
+    }
+  }
+
+  /**
+   * Switch the brush mode by activating its scene control tool
+   * 通过激活对应的场景控制工具切换画笔模式
+   */
+  _onBrushModeChange(event) {
+    const mode = event.target.value;
+    ui.controls.initialize({ control: "mapheight", tool: mode === "set" ? "brush" : mode });
+    this.render();
+  }
+
+  /**
+   * Store the clamp range
+   * 保存钳制范围
+   */
+  _onClampChange(event) {
+    const value = Number(event.target.value);
+    if (!this.heightManager.validateHeight(value)) {
+      ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Notifications.InvalidHeight"));
+      return;
+    }
+
+    const key = event.target.name === 'clampMin' ? 'min' : 'max';
+    window.MapHeightEditor.brushClamp = { ...window.MapHeightEditor.brushClamp, [key]: value };
+    window.MapHeightEditor.brushDisplay?.updateBrush();
   }
 
   /**
@@ -311,8 +383,7 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
     });
 
     if (confirmed) {
-      this.heightManager.resetData();
-      await this.heightManager.saveHeightData();
+      await this.heightManager.clearAllData();
       ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Notifications.AllHeightsCleared"));
       this.render();
     }
@@ -341,7 +412,7 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
     
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json';
+    input.accept = '.json,.csv';
     
     input.onchange = async (e) => {
       const file = e.target.files[0];
@@ -349,14 +420,19 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
       
       try {
         const text = await file.text();
+
+        // CSV height matrices are parsed into grid heights first
+        // CSV高度矩阵先解析为网格高度
+        if (file.name.toLowerCase().endsWith('.csv')) {
+          if (await window.MapHeightEditor?.HeightmapIO?.importCsv(this.heightManager, text, file.name)) {
+            this.render();
+          }
+          return;
+        }
+
         const data = JSON.parse(text);
-        
-        const success = await this.heightManager.importData(data);
-        if (success) {
-          ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Notifications.DataImported"));
+        if (await window.MapHeightEditor?.HeightmapIO?.importJson(this.heightManager, data, file.name)) {
           this.render();
-        } else {
-          ui.notifications.error(game.i18n.localize("MAP_HEIGHT.Notifications.DataImportFailed"));
         }
       } catch (error) {
         console.error("Error importing height data:", error);
@@ -367,6 +443,32 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
     input.click();
   }
 
+  /**
+   * Copy heights from another scene
+   * 从另一个场景复制高度
+   */
+  async _onCopyScene(event) {
+    event.preventDefault();
+
+    if (await window.MapHeightEditor?.HeightmapIO?.promptSceneCopy(this.heightManager)) {
+      this.render();
+    }
+  }
+
+  /**
+   * Generate heights from Drawings or walls
+   * 根据绘图或墙体生成高度
+   */
+  async _onGenerateHeights(event) {
+    event.preventDefault();
+
+    const HeightGenerator = window.MapHeightEditor?.HeightGenerator;
+    if (!HeightGenerator) return;
+
+    await new HeightGenerator(this.heightManager).prompt();
+    this.render();
+  }
+
   /**
    * Add selected token as exception
    * 将选中的Token添加为例外
@@ -379,9 +481,22 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
       ui.notifications.warn(game.i18n.localize("MAP_HEIGHT.Dialog.ExceptionManagement.NoTokenSelected"));
       return;
     }
+
+    const scope = this.element.querySelector('[name="exceptionScope"]')?.value || "token";
+    const level = this.element.querySelector('[name="exceptionLevel"]')?.value || "scene";
     
     for (const token of controlled) {
-      await this.heightManager.addTokenException(token.document.id);
+      // Folder scopes match the actor's folder and therefore need an actor in a folder
+      // 文件夹范围匹配Actor所在的文件夹，因此需要位于文件夹中的Actor
+      const [id] = this.heightManager.getTokenExceptionKeys(token.document, scope);
+      if (!id) {
+        ui.notifications.warn(game.i18n.format("MAP_HEIGHT.Dialog.ExceptionManagement.ScopeUnavailable", {
+          tokenName: token.document.name
+        }));
+        continue;
+      }
+
+      await this.heightManager.addException(scope, id, level);
       ui.notifications.info(game.i18n.format("MAP_HEIGHT.Dialog.ExceptionManagement.TokenAddedToList", {
         tokenName: token.document.name
       }));
@@ -398,8 +513,8 @@ export default class MapHeightSidebar extends foundry.applications.api.Applicati
     event.preventDefault();
     
     const target = event.target.closest('[data-action="remove-exception"]');
-    const tokenId = target.dataset.tokenId;
-    const success = await this.heightManager.removeTokenException(tokenId);
+    const { scope, exceptionId, level } = target.dataset;
+    const success = await this.heightManager.removeException(scope, exceptionId, level);
 
     if (success) {
       ui.notifications.info(game.i18n.localize("MAP_HEIGHT.Dialog.ExceptionManagement.TokenRemovedFromList"));